@@ -0,0 +1,219 @@
+import {Keypoint} from "../keypoint.js";
+import {Mesh} from "../mesh.js";
+import {validateDefined, validateInstanceOf, validateNonEmptyString, validateNumber} from "../utility/validation.js";
+
+/**
+ * Interprets the face Keypoints of a Mesh as facial expressions, such as blinking or smiling.
+ *
+ * Each expression is measured by a score which does not depend on the size of the face in the frame. An expression
+ * starts when its score crosses its `start` threshold, and only ends when it crosses back over its `end` threshold,
+ * so that a score hovering around one threshold doesn't rapidly start and end the expression.
+ *
+ * Events:
+ * - `expressionStarted` - `{mesh: Mesh, expression: string, score: number}` An expression started.
+ * - `expressionEnded` - `{mesh: Mesh, expression: string, score: number}` An expression ended.
+ */
+export class ExpressionAnalyser extends EventTarget {
+    /**
+     * Default thresholds of each expression, by name.
+     *
+     * `score` is the name of the score which measures the expression. If `start` is less than `end`, then the
+     * expression starts when the score falls to `start` or below. Otherwise, it starts when the score rises to `start`
+     * or above.
+     */
+    static thresholds = {
+        blink: {score: "eyeAspectRatio", start: 0.2, end: 0.25},
+        browRaise: {score: "browRaise", start: 0.75, end: 0.7},
+        mouthOpen: {score: "mouthOpenness", start: 0.35, end: 0.25},
+        smile: {score: "smileWidth", start: 0.42, end: 0.39}
+    };
+
+    /**
+     * Indices of the face Keypoints around each eye, in the order used by the eye aspect ratio: the outer corner, two
+     * points on the upper lid, the inner corner, and the two points on the lower lid opposite them.
+     */
+    static eyeIndices = {
+        left: [263, 387, 385, 362, 380, 373],
+        right: [33, 160, 158, 133, 153, 144]
+    };
+
+    /** Indices of the face Keypoints at the middle of each eyebrow, and of the upper eyelid below it. */
+    static browIndices = {
+        left: [334, 386],
+        right: [105, 159]
+    };
+
+    /** Indices of the face Keypoints at the middle of the inner edges of the upper and lower lips. */
+    static lipIndices = [13, 14];
+
+    /** Indices of the face Keypoints at the corners of the mouth. */
+    static mouthCornerIndices = [61, 291];
+
+    /** Indices of the face Keypoints at the edges of the face, which are used to measure its width. */
+    static faceEdgeIndices = [234, 454];
+
+    /**
+     * Creates a new ExpressionAnalyser.
+     *
+     * @param {{
+     *   thresholds: Object<string, {score: string, start: number, end: number}>|undefined
+     * }} options Options to use. `thresholds` replaces the default thresholds of the expressions it contains.
+     */
+    constructor(options = {}) {
+        super();
+
+        validateDefined(options);
+
+        this.thresholds = {...ExpressionAnalyser.thresholds, ...options.thresholds};
+        for (const threshold of Object.values(this.thresholds)) {
+            validateNonEmptyString(threshold.score);
+            validateNumber(threshold.start);
+            validateNumber(threshold.end);
+        }
+
+        this.activeExpressions = new WeakMap();
+    }
+
+    /**
+     * Calculates the expression scores of a Mesh, and dispatches an event for each expression that starts or ends.
+     *
+     * If the Mesh has no face, then all of its active expressions end.
+     *
+     * @param {Mesh} mesh Mesh to analyse.
+     * @returns {Object<string, number>|null} The scores, or null if the Mesh has no face.
+     */
+    update(mesh) {
+        validateInstanceOf(mesh, Mesh);
+
+        if (!this.activeExpressions.has(mesh)) {
+            this.activeExpressions.set(mesh, new Set());
+        }
+        const activeExpressions = this.activeExpressions.get(mesh);
+
+        const scores = ExpressionAnalyser.getScores(mesh.getFaceKeypoints());
+
+        for (const [expression, threshold] of Object.entries(this.thresholds)) {
+            const score = scores?.[threshold.score] ?? null;
+            const isActive = activeExpressions.has(expression);
+
+            if (score == null) {
+                if (isActive) {
+                    activeExpressions.delete(expression);
+                    this.dispatchExpressionEvent("expressionEnded", mesh, expression, null);
+                }
+                continue;
+            }
+
+            const isBelow = threshold.start < threshold.end;
+            const hasStarted = isBelow ? score <= threshold.start : score >= threshold.start;
+            const hasEnded = isBelow ? score >= threshold.end : score <= threshold.end;
+
+            if (!isActive && hasStarted) {
+                activeExpressions.add(expression);
+                this.dispatchExpressionEvent("expressionStarted", mesh, expression, score);
+            } else if (isActive && hasEnded) {
+                activeExpressions.delete(expression);
+                this.dispatchExpressionEvent("expressionEnded", mesh, expression, score);
+            }
+        }
+
+        return scores;
+    }
+
+    /**
+     * Dispatches an `expressionStarted` or `expressionEnded` event.
+     *
+     * @param {string} type Type of the event.
+     * @param {Mesh} mesh Mesh whose expression changed.
+     * @param {string} expression Name of the expression.
+     * @param {number|null} score Score of the expression, or null if the face was lost.
+     */
+    dispatchExpressionEvent(type, mesh, expression, score) {
+        this.dispatchEvent(new CustomEvent(type, {detail: {mesh: mesh, expression: expression, score: score}}));
+    }
+
+    /**
+     * Calculates the expression scores of a face.
+     *
+     * - `eyeAspectRatio` - Height of the eyes relative to their width, averaged over both eyes. Around 0.3 when open,
+     *   and close to 0 when closed.
+     * - `mouthOpenness` - Distance between the lips relative to the width of the mouth.
+     * - `smileWidth` - Width of the mouth relative to the width of the face.
+     * - `browRaise` - Distance between the eyebrows and the eyelids relative to the width of the eyes, averaged over
+     *   both eyes.
+     *
+     * @param {Keypoint[]} faceKeypoints Face Keypoints, in the order that the face landmarks model outputs them.
+     * @returns {Object<string, number>|null} The scores, or null if the face was not detected.
+     */
+    static getScores(faceKeypoints) {
+        validateDefined(faceKeypoints);
+
+        const indices = [
+            ...ExpressionAnalyser.eyeIndices.left,
+            ...ExpressionAnalyser.eyeIndices.right,
+            ...ExpressionAnalyser.browIndices.left,
+            ...ExpressionAnalyser.browIndices.right,
+            ...ExpressionAnalyser.lipIndices,
+            ...ExpressionAnalyser.mouthCornerIndices,
+            ...ExpressionAnalyser.faceEdgeIndices
+        ];
+        if (indices.some(index => faceKeypoints[index] == null || faceKeypoints[index].getConfidence() === 0)) {
+            return null;
+        }
+
+        const distance = (a, b) => ExpressionAnalyser.getDistance(faceKeypoints[a], faceKeypoints[b]);
+
+        const eyeAspectRatio = eye => {
+            const [outer, upperOuter, upperInner, inner, lowerInner, lowerOuter] = ExpressionAnalyser.eyeIndices[eye];
+            const height = distance(upperOuter, lowerOuter) + distance(upperInner, lowerInner);
+            return height / (2 * distance(outer, inner));
+        };
+
+        const browRaise = eye => {
+            const [brow, eyelid] = ExpressionAnalyser.browIndices[eye];
+            const [outer, , , inner] = ExpressionAnalyser.eyeIndices[eye];
+            return distance(brow, eyelid) / distance(outer, inner);
+        };
+
+        const mouthWidth = distance(...ExpressionAnalyser.mouthCornerIndices);
+
+        return {
+            browRaise: (browRaise("left") + browRaise("right")) / 2,
+            eyeAspectRatio: (eyeAspectRatio("left") + eyeAspectRatio("right")) / 2,
+            mouthOpenness: distance(...ExpressionAnalyser.lipIndices) / mouthWidth,
+            smileWidth: mouthWidth / distance(...ExpressionAnalyser.faceEdgeIndices)
+        };
+    }
+
+    /**
+     * Calculates the distance between two Keypoints.
+     *
+     * @param {Keypoint} a First Keypoint.
+     * @param {Keypoint} b Second Keypoint.
+     * @returns {number} Distance between the Keypoints, in pixels.
+     */
+    static getDistance(a, b) {
+        return Math.hypot(a.getX() - b.getX(), a.getY() - b.getY(), a.getZ() - b.getZ());
+    }
+
+    /**
+     * Determines whether an expression is active on a Mesh.
+     *
+     * @param {Mesh} mesh Mesh to check.
+     * @param {string} expression Name of the expression.
+     * @returns {boolean} Whether the expression is active.
+     */
+    isActive(mesh, expression) {
+        return this.activeExpressions.get(mesh)?.has(expression) ?? false;
+    }
+
+    /**
+     * Retrieves the expressions which are active on a Mesh.
+     *
+     * @param {Mesh} mesh Mesh to check.
+     * @returns {string[]} Names of the active expressions.
+     */
+    getActiveExpressions(mesh) {
+        return [...(this.activeExpressions.get(mesh) ?? [])];
+    }
+}
\ No newline at end of file
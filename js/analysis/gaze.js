@@ -0,0 +1,261 @@
+import {MathUtils, Vector3} from "three";
+import {HeadPose} from "./head_pose.js";
+import {Keypoint} from "../keypoint.js";
+import {validateBoolean, validateDefined, validateNumber} from "../utility/validation.js";
+
+/**
+ * The positions of the irises, and the direction in which they are looking, as estimated from the face Keypoints.
+ *
+ * The iris Keypoints are only detected when the FaceDetector refines its landmarks.
+ *
+ * Left and right refer to the person's eyes, so they are not affected by the mirror mode. The direction is relative to
+ * the person in the same way as the {@link HeadPose}, where x points to the person's left (when facing the camera), y
+ * points up, and z points towards the camera.
+ */
+export class Gaze {
+    /**
+     * Indices of the face Keypoints around each eye: the corner on the person's right, the corner on the person's
+     * left, the middle of the upper lid, and the middle of the lower lid.
+     */
+    static eyeIndices = {
+        left: [362, 263, 386, 374],
+        right: [33, 133, 159, 145]
+    };
+
+    /** Indices of the face Keypoints of each iris: the centre, followed by four points on its edge. */
+    static irisIndices = {
+        left: [473, 474, 475, 476, 477],
+        right: [468, 469, 470, 471, 472]
+    };
+
+    /**
+     * Radius of the eyeball, relative to the width of the eye. The iris moves across a circle of this radius as the eye
+     * rotates, so it is used to turn the offset of the iris into an angle.
+     */
+    static eyeballRadius = 0.4;
+
+    /** Default maximum angle, in degrees, between the gaze and the camera for the gaze to be at the screen. */
+    static screenAngle = 15;
+
+    /**
+     * Creates a new Gaze.
+     *
+     * @param {{x: number, y: number, z: number}|null} leftIrisCentre Centre of the left iris, in pixels.
+     * @param {{x: number, y: number, z: number}|null} rightIrisCentre Centre of the right iris, in pixels.
+     * @param {number} leftIrisRadius Radius of the left iris, in pixels.
+     * @param {number} rightIrisRadius Radius of the right iris, in pixels.
+     * @param {{x: number, y: number, z: number}} direction Unit vector in the direction of the gaze.
+     * @param {number} confidence How confident we are that the gaze is accurate, from 0 to 1.
+     */
+    constructor(
+        leftIrisCentre = null,
+        rightIrisCentre = null,
+        leftIrisRadius = 0,
+        rightIrisRadius = 0,
+        direction = {x: 0, y: 0, z: 1},
+        confidence = 0
+    ) {
+        validateDefined(direction);
+        validateNumber(leftIrisRadius);
+        validateNumber(rightIrisRadius);
+        validateNumber(confidence);
+
+        this.confidence = confidence;
+        this.direction = direction;
+        this.leftIrisCentre = leftIrisCentre;
+        this.leftIrisRadius = leftIrisRadius;
+        this.rightIrisCentre = rightIrisCentre;
+        this.rightIrisRadius = rightIrisRadius;
+    }
+
+    /**
+     * Estimates the gaze from the face Keypoints.
+     *
+     * The offset of each iris from the centre of its eye is turned into the angles that the eye has rotated by, which
+     * are averaged over both eyes and added to the angles of the {@link HeadPose}.
+     *
+     * @param {Keypoint[]} faceKeypoints Face Keypoints, in the order that the face landmarks model outputs them.
+     * @param {boolean} mirrored Whether the Keypoints have been flipped horizontally.
+     *
+     * @returns {Gaze} The gaze, which has a confidence of 0 if the irises were not detected.
+     */
+    static fromFaceKeypoints(faceKeypoints, mirrored = false) {
+        validateDefined(faceKeypoints);
+        validateBoolean(mirrored);
+
+        const indices = [
+            ...Gaze.eyeIndices.left,
+            ...Gaze.eyeIndices.right,
+            ...Gaze.irisIndices.left,
+            ...Gaze.irisIndices.right
+        ];
+        if (indices.some(index => faceKeypoints[index] == null)) {
+            return new Gaze();
+        }
+
+        const headPose = HeadPose.fromFaceKeypoints(faceKeypoints, mirrored);
+        const confidence = Math.min(...indices.map(index => faceKeypoints[index].getConfidence()));
+        if (confidence === 0 || headPose.getConfidence() === 0) {
+            return new Gaze();
+        }
+
+        // See HeadPose for the space that the Keypoints are converted to.
+        const direction = mirrored ? -1 : 1;
+        const toVector = index => {
+            const keypoint = faceKeypoints[index];
+            return new Vector3(direction * keypoint.getX(), -keypoint.getY(), -keypoint.getZ());
+        };
+
+        const getEyeAngles = eye => {
+            const [rightCorner, leftCorner, upperLid, lowerLid] = Gaze.eyeIndices[eye];
+            const iris = toVector(Gaze.irisIndices[eye][0]);
+
+            const xAxis = toVector(leftCorner).sub(toVector(rightCorner));
+            const width = xAxis.length();
+            const yAxis = toVector(upperLid).sub(toVector(lowerLid));
+            if (width === 0 || yAxis.lengthSq() === 0) {
+                return null;
+            }
+
+            xAxis.normalize();
+            yAxis.normalize();
+
+            const centre = toVector(leftCorner).add(toVector(rightCorner)).multiplyScalar(0.5);
+            const offset = iris.sub(centre).divideScalar(width * Gaze.eyeballRadius);
+
+            return {
+                yaw: MathUtils.radToDeg(Math.asin(MathUtils.clamp(offset.dot(xAxis), -1, 1))),
+                pitch: MathUtils.radToDeg(Math.asin(MathUtils.clamp(offset.dot(yAxis), -1, 1)))
+            };
+        };
+
+        const leftEyeAngles = getEyeAngles("left");
+        const rightEyeAngles = getEyeAngles("right");
+        if (leftEyeAngles == null || rightEyeAngles == null) {
+            return new Gaze();
+        }
+
+        const yaw = MathUtils.degToRad(headPose.getYaw() + (leftEyeAngles.yaw + rightEyeAngles.yaw) / 2);
+        const pitch = MathUtils.degToRad(headPose.getPitch() + (leftEyeAngles.pitch + rightEyeAngles.pitch) / 2);
+
+        return new Gaze(
+            Gaze.getIrisCentre(faceKeypoints, "left"),
+            Gaze.getIrisCentre(faceKeypoints, "right"),
+            Gaze.getIrisRadius(faceKeypoints, "left"),
+            Gaze.getIrisRadius(faceKeypoints, "right"),
+            {
+                x: Math.sin(yaw) * Math.cos(pitch),
+                y: Math.sin(pitch),
+                z: Math.cos(yaw) * Math.cos(pitch)
+            },
+            confidence * headPose.getConfidence()
+        );
+    }
+
+    /**
+     * Retrieves the centre of an iris.
+     *
+     * @param {Keypoint[]} faceKeypoints Face Keypoints, in the order that the face landmarks model outputs them.
+     * @param {string} eye Either `left` or `right`.
+     * @returns {{x: number, y: number, z: number}} Centre of the iris, in pixels.
+     */
+    static getIrisCentre(faceKeypoints, eye) {
+        const centre = faceKeypoints[Gaze.irisIndices[eye][0]];
+        return {x: centre.getX(), y: centre.getY(), z: centre.getZ()};
+    }
+
+    /**
+     * Calculates the radius of an iris, as the average distance from its centre to its edges.
+     *
+     * The distances are measured on the screen, ignoring depth, so that the radius can be used to size an asset drawn
+     * over the iris.
+     *
+     * @param {Keypoint[]} faceKeypoints Face Keypoints, in the order that the face landmarks model outputs them.
+     * @param {string} eye Either `left` or `right`.
+     * @returns {number} Radius of the iris, in pixels.
+     */
+    static getIrisRadius(faceKeypoints, eye) {
+        const [centre, ...edges] = Gaze.irisIndices[eye].map(index => faceKeypoints[index]);
+
+        let radius = 0;
+        for (const edge of edges) {
+            radius += Math.hypot(edge.getX() - centre.getX(), edge.getY() - centre.getY()) / edges.length;
+        }
+
+        return radius;
+    }
+
+    /**
+     * Calculates the angle between the direction of the gaze and the direction of the camera.
+     *
+     * @returns {number} Angle, in degrees.
+     */
+    getAngleFromCamera() {
+        return MathUtils.radToDeg(Math.acos(MathUtils.clamp(this.direction.z, -1, 1)));
+    }
+
+    /**
+     * Retrieves how confident we are that the gaze is accurate.
+     *
+     * @returns {number} Confidence, from 0 to 1.
+     */
+    getConfidence() {
+        return this.confidence;
+    }
+
+    /**
+     * Retrieves the direction of the gaze.
+     *
+     * @returns {{x: number, y: number, z: number}} Unit vector in the direction of the gaze.
+     */
+    getDirection() {
+        return this.direction;
+    }
+
+    /**
+     * Retrieves the centre of the left iris.
+     *
+     * @returns {{x: number, y: number, z: number}|null} Centre of the iris, in pixels, or null if it wasn't detected.
+     */
+    getLeftIrisCentre() {
+        return this.leftIrisCentre;
+    }
+
+    /**
+     * Retrieves the radius of the left iris.
+     *
+     * @returns {number} Radius of the iris, in pixels, or 0 if it wasn't detected.
+     */
+    getLeftIrisRadius() {
+        return this.leftIrisRadius;
+    }
+
+    /**
+     * Retrieves the centre of the right iris.
+     *
+     * @returns {{x: number, y: number, z: number}|null} Centre of the iris, in pixels, or null if it wasn't detected.
+     */
+    getRightIrisCentre() {
+        return this.rightIrisCentre;
+    }
+
+    /**
+     * Retrieves the radius of the right iris.
+     *
+     * @returns {number} Radius of the iris, in pixels, or 0 if it wasn't detected.
+     */
+    getRightIrisRadius() {
+        return this.rightIrisRadius;
+    }
+
+    /**
+     * Determines whether the person is looking at the screen, assuming that the camera is next to it.
+     *
+     * @param {number} maximumAngle Maximum angle, in degrees, between the direction of the gaze and the camera.
+     * @returns {boolean} Whether the person is looking at the screen. Always false if the gaze wasn't detected.
+     */
+    isLookingAtScreen(maximumAngle = Gaze.screenAngle) {
+        validateNumber(maximumAngle);
+        return this.confidence > 0 && this.getAngleFromCamera() <= maximumAngle;
+    }
+}
\ No newline at end of file
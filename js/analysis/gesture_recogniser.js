@@ -0,0 +1,336 @@
+import {Keypoint} from "../keypoint.js";
+import {Mesh} from "../mesh.js";
+import {validateDefined, validateInstanceOf, validateNumber, validatePositiveInteger} from "../utility/validation.js";
+
+/**
+ * Recognises gestures from the hand Keypoints of a Mesh, as they are updated over time.
+ *
+ * Static gestures are recognised from the shape of a single hand: `open_palm`, `fist`, `pinch`, `point`, `thumbs_up`,
+ * and `victory`. Each is only reported once it has been held for `minimumFrames` updates, and again only after the hand
+ * has changed shape.
+ *
+ * Dynamic gestures are recognised from the movement of the wrist over time: `swipe_left`, `swipe_right`, and `wave`.
+ * Their directions are as seen on the screen, so they follow the mirror mode. Distances are measured in palm lengths,
+ * the distance between the wrist and the base of the middle finger, so that they don't depend on the size of the hand
+ * in the frame.
+ *
+ * Events:
+ * - `gesture` - `{mesh: Mesh, handedness: string, gesture: string, confidence: number}` A gesture was recognised.
+ */
+export class GestureRecogniser extends EventTarget {
+    /** Indices of the hand Keypoints, in the order that the hand pose model outputs them. */
+    static indices = {
+        wrist: 0,
+        thumb: [1, 2, 3, 4],
+        index: [5, 6, 7, 8],
+        middle: [9, 10, 11, 12],
+        ring: [13, 14, 15, 16],
+        pinky: [17, 18, 19, 20]
+    };
+
+    /** Names of the fingers, excluding the thumb. */
+    static fingers = ["index", "middle", "ring", "pinky"];
+
+    /** Straightness, from 0 to 1, above which a finger is considered to be extended. */
+    static extendedStraightness = 0.75;
+
+    /** Distance between the thumb and index fingertips, in palm lengths, below which the hand is pinching. */
+    static pinchDistance = 0.3;
+
+    /** Distance, in palm lengths, that the wrist must move within `swipeDuration` to swipe. */
+    static swipeDistance = 2;
+
+    /** Number of milliseconds within which a swipe must be made. */
+    static swipeDuration = 500;
+
+    /** Distance, in palm lengths, that the wrist must move before each change of direction to wave. */
+    static waveDistance = 0.4;
+
+    /** Number of milliseconds within which a wave must be made. */
+    static waveDuration = 1500;
+
+    /** Number of changes of direction needed to wave. */
+    static waveReversals = 3;
+
+    /**
+     * Creates a new GestureRecogniser.
+     *
+     * @param {{
+     *   minimumConfidence: number|undefined,
+     *   minimumFrames: number|undefined
+     * }} options Options to use. Gestures with a confidence below `minimumConfidence`, which defaults to 0.5, are
+     *            ignored. Static gestures must be held for `minimumFrames` updates, which defaults to 3, before they
+     *            are recognised.
+     */
+    constructor(options = {}) {
+        super();
+
+        validateDefined(options);
+
+        this.minimumConfidence = options.minimumConfidence ?? 0.5;
+        validateNumber(this.minimumConfidence);
+
+        this.minimumFrames = options.minimumFrames ?? 3;
+        validatePositiveInteger(this.minimumFrames);
+
+        this.states = new WeakMap();
+    }
+
+    /**
+     * Recognises the gestures of both hands of a Mesh, and dispatches a `gesture` event for each new gesture.
+     *
+     * This should be called each time that the hand Keypoints are updated.
+     *
+     * @param {Mesh} mesh Mesh whose hands should be recognised.
+     * @param {number} time Time of the update, in milliseconds.
+     */
+    update(mesh, time = performance.now()) {
+        validateInstanceOf(mesh, Mesh);
+        validateNumber(time);
+
+        if (!this.states.has(mesh)) {
+            this.states.set(mesh, {left: GestureRecogniser.createState(), right: GestureRecogniser.createState()});
+        }
+
+        for (const handedness of Mesh.handednesses) {
+            const state = this.states.get(mesh)[handedness];
+
+            if (!mesh.isHandPresent(handedness)) {
+                Object.assign(state, GestureRecogniser.createState());
+                continue;
+            }
+
+            const keypoints = handedness === "left" ? mesh.getLeftHandKeypoints() : mesh.getRightHandKeypoints();
+            const handConfidence = mesh.getHandConfidence(handedness);
+
+            const staticGesture = GestureRecogniser.recogniseStaticGesture(keypoints);
+            this.updateStaticGesture(mesh, handedness, state, staticGesture, handConfidence);
+
+            const dynamicGesture = GestureRecogniser.recogniseDynamicGesture(keypoints, state, time);
+            if (dynamicGesture != null) {
+                this.dispatchGesture(mesh, handedness, dynamicGesture, handConfidence);
+            }
+        }
+    }
+
+    /**
+     * Reports a static gesture once it has been held for long enough.
+     *
+     * @param {Mesh} mesh Mesh of the hand.
+     * @param {string} handedness Handedness of the hand.
+     * @param {object} state Recognition state of the hand.
+     * @param {{gesture: string, confidence: number}|null} staticGesture Gesture recognised in this update, if any.
+     * @param {number} handConfidence Confidence of the hand.
+     */
+    updateStaticGesture(mesh, handedness, state, staticGesture, handConfidence) {
+        const gesture = staticGesture?.gesture ?? null;
+
+        if (gesture !== state.candidate) {
+            state.candidate = gesture;
+            state.candidateFrames = 0;
+        }
+        state.candidateFrames++;
+
+        if (gesture == null) {
+            state.current = null;
+            return;
+        }
+
+        if (state.candidateFrames >= this.minimumFrames && gesture !== state.current) {
+            state.current = gesture;
+            this.dispatchGesture(mesh, handedness, gesture, staticGesture.confidence * handConfidence);
+        }
+    }
+
+    /**
+     * Dispatches a `gesture` event, if the gesture is confident enough.
+     *
+     * @param {Mesh} mesh Mesh of the hand.
+     * @param {string} handedness Handedness of the hand.
+     * @param {string} gesture Name of the gesture.
+     * @param {number} confidence Confidence of the gesture, from 0 to 1.
+     */
+    dispatchGesture(mesh, handedness, gesture, confidence) {
+        if (confidence < this.minimumConfidence) {
+            return;
+        }
+
+        this.dispatchEvent(new CustomEvent("gesture", {
+            detail: {mesh: mesh, handedness: handedness, gesture: gesture, confidence: confidence}
+        }));
+    }
+
+    /**
+     * Creates the recognition state of a hand.
+     *
+     * @returns {{candidate: string|null, candidateFrames: number, current: string|null, history: Object[]}} The state.
+     */
+    static createState() {
+        return {candidate: null, candidateFrames: 0, current: null, history: []};
+    }
+
+    /**
+     * Recognises the static gesture made by a hand.
+     *
+     * @param {Keypoint[]} keypoints Keypoints of the hand, in the order that the hand pose model outputs them.
+     * @returns {{gesture: string, confidence: number}|null} The gesture, and how confident we are in it, or null if the
+     *                                                       hand isn't making a known gesture.
+     */
+    static recogniseStaticGesture(keypoints) {
+        const indices = GestureRecogniser.indices;
+        if (keypoints.length <= indices.pinky[3]) {
+            return null;
+        }
+
+        const palmLength = GestureRecogniser.getDistance(keypoints[indices.wrist], keypoints[indices.middle[0]]);
+        if (palmLength === 0) {
+            return null;
+        }
+
+        const pinchDistance = GestureRecogniser.getDistance(keypoints[indices.thumb[3]], keypoints[indices.index[3]]);
+        if (pinchDistance / palmLength < GestureRecogniser.pinchDistance) {
+            return {gesture: "pinch", confidence: 1 - pinchDistance / palmLength / GestureRecogniser.pinchDistance};
+        }
+
+        const straightnesses = {};
+        for (const finger of ["thumb", ...GestureRecogniser.fingers]) {
+            const [base, joint, , tip] = indices[finger].map(index => keypoints[index]);
+            straightnesses[finger] = GestureRecogniser.getStraightness(base, joint, tip);
+        }
+
+        const isExtended = finger => straightnesses[finger] >= GestureRecogniser.extendedStraightness;
+        const pattern = ["thumb", ...GestureRecogniser.fingers].map(finger => isExtended(finger) ? "1" : "0").join("");
+
+        // The thumb is excluded from most gestures, as it is often hidden behind the hand.
+        const fingerPattern = pattern.substring(1);
+
+        let gesture = null;
+        if (pattern === "11111") {
+            gesture = "open_palm";
+        } else if (fingerPattern === "0000") {
+            // A thumbs up needs the thumb to point upwards, as y increases down the screen.
+            const thumbRise = keypoints[indices.thumb[1]].getY() - keypoints[indices.thumb[3]].getY();
+            gesture = isExtended("thumb") && thumbRise > palmLength / 2 ? "thumbs_up" : "fist";
+        } else if (fingerPattern === "1000") {
+            gesture = "point";
+        } else if (fingerPattern === "1100") {
+            gesture = "victory";
+        }
+
+        if (gesture == null) {
+            return null;
+        }
+
+        // The further each finger is from the threshold between extended and curled, the more confident we are.
+        const fingers = gesture === "open_palm" || gesture === "thumbs_up" || gesture === "fist"
+            ? ["thumb", ...GestureRecogniser.fingers]
+            : GestureRecogniser.fingers;
+        const confidence = fingers.reduce((sum, finger) => {
+            return sum + (isExtended(finger) ? straightnesses[finger] : 1 - straightnesses[finger]);
+        }, 0) / fingers.length;
+
+        return {gesture: gesture, confidence: confidence};
+    }
+
+    /**
+     * Recognises a dynamic gesture made by a hand, from the movement of its wrist since the previous updates.
+     *
+     * Once a dynamic gesture is recognised, the movement is forgotten, so that it isn't recognised again.
+     *
+     * @param {Keypoint[]} keypoints Keypoints of the hand, in the order that the hand pose model outputs them.
+     * @param {object} state Recognition state of the hand.
+     * @param {number} time Time of the update, in milliseconds.
+     *
+     * @returns {string|null} Name of the gesture, or null if no dynamic gesture was made.
+     */
+    static recogniseDynamicGesture(keypoints, state, time) {
+        const indices = GestureRecogniser.indices;
+        if (keypoints.length <= indices.pinky[3]) {
+            return null;
+        }
+
+        const palmLength = GestureRecogniser.getDistance(keypoints[indices.wrist], keypoints[indices.middle[0]]);
+        if (palmLength === 0) {
+            return null;
+        }
+
+        const maximumDuration = Math.max(GestureRecogniser.swipeDuration, GestureRecogniser.waveDuration);
+        state.history.push({time: time, x: keypoints[indices.wrist].getX()});
+        state.history = state.history.filter(entry => time - entry.time <= maximumDuration);
+
+        /*
+         * Positions are stored in pixels, and each movement is measured in the current palm length, so that the hand
+         * moving towards or away from the camera doesn't change the distances that are needed, or look like a movement.
+         */
+        const getDistance = (from, to) => (to.x - from.x) / palmLength;
+
+        const swipeHistory = state.history.filter(entry => time - entry.time <= GestureRecogniser.swipeDuration);
+        const swipeDistance = getDistance(swipeHistory[0], swipeHistory[swipeHistory.length - 1]);
+        if (Math.abs(swipeDistance) >= GestureRecogniser.swipeDistance) {
+            state.history = [];
+            return swipeDistance < 0 ? "swipe_left" : "swipe_right";
+        }
+
+        // A wave is a number of changes of direction, each after moving far enough to not be jitter.
+        let reversals = 0;
+        let direction = 0;
+        let extreme = state.history[0];
+        for (const entry of state.history) {
+            const distance = getDistance(extreme, entry);
+
+            if (direction !== 0 && Math.sign(distance) === direction) {
+                // The wrist is still moving the same way, so this is the furthest it has gone.
+                extreme = entry;
+            } else if (Math.abs(distance) >= GestureRecogniser.waveDistance) {
+                if (direction !== 0) {
+                    reversals++;
+                }
+
+                direction = Math.sign(distance);
+                extreme = entry;
+            }
+        }
+
+        if (reversals >= GestureRecogniser.waveReversals) {
+            state.history = [];
+            return "wave";
+        }
+
+        return null;
+    }
+
+    /**
+     * Calculates how straight a finger is, from the angle at its middle joint.
+     *
+     * @param {Keypoint} base Keypoint at the base of the finger.
+     * @param {Keypoint} joint Keypoint at the middle joint of the finger.
+     * @param {Keypoint} tip Keypoint at the tip of the finger.
+     *
+     * @returns {number} Straightness, from 0 when the finger is folded back on itself to 1 when it is straight.
+     */
+    static getStraightness(base, joint, tip) {
+        const ax = joint.getX() - base.getX();
+        const ay = joint.getY() - base.getY();
+        const bx = tip.getX() - joint.getX();
+        const by = tip.getY() - joint.getY();
+
+        const lengths = Math.hypot(ax, ay) * Math.hypot(bx, by);
+        if (lengths === 0) {
+            return 0;
+        }
+
+        const cosine = (ax * bx + ay * by) / lengths;
+        return (cosine + 1) / 2;
+    }
+
+    /**
+     * Calculates the distance between two Keypoints, ignoring depth.
+     *
+     * @param {Keypoint} a First Keypoint.
+     * @param {Keypoint} b Second Keypoint.
+     * @returns {number} Distance between the Keypoints, in pixels.
+     */
+    static getDistance(a, b) {
+        return Math.hypot(a.getX() - b.getX(), a.getY() - b.getY());
+    }
+}
\ No newline at end of file
@@ -0,0 +1,146 @@
+import {Euler, MathUtils, Matrix4, Vector3} from "three";
+import {Keypoint} from "../keypoint.js";
+import {validateBoolean, validateDefined, validateNumber} from "../utility/validation.js";
+
+/**
+ * The orientation of a head, as solved from the face Keypoints.
+ *
+ * The angles are in degrees, and are relative to the person rather than to the screen, so they are not affected by
+ * the mirror mode:
+ * - Yaw is positive when the head turns towards the person's left.
+ * - Pitch is positive when the head tilts up.
+ * - Roll is positive when the head tilts towards the person's left shoulder.
+ */
+export class HeadPose {
+    /** Indices of the face Keypoints on the person's right side, which are paired with those in `leftIndices`. */
+    static rightIndices = [234, 33, 133];
+
+    /** Indices of the face Keypoints on the person's left side, which are paired with those in `rightIndices`. */
+    static leftIndices = [454, 263, 362];
+
+    /** Index of the face Keypoint at the top of the forehead. */
+    static topIndex = 10;
+
+    /** Index of the face Keypoint at the bottom of the chin. */
+    static bottomIndex = 152;
+
+    /**
+     * Creates a new HeadPose.
+     *
+     * @param {number} yaw Rotation around the vertical axis, in degrees.
+     * @param {number} pitch Rotation around the horizontal axis, in degrees.
+     * @param {number} roll Rotation around the axis pointing out of the face, in degrees.
+     * @param {number} confidence How confident we are that the pose is accurate, from 0 to 1.
+     */
+    constructor(yaw = 0, pitch = 0, roll = 0, confidence = 0) {
+        validateNumber(yaw);
+        validateNumber(pitch);
+        validateNumber(roll);
+        validateNumber(confidence);
+
+        this.confidence = confidence;
+        this.pitch = pitch;
+        this.roll = roll;
+        this.yaw = yaw;
+    }
+
+    /**
+     * Solves the pose of a head from its face Keypoints.
+     *
+     * Axes running across and up the face are measured from pairs of Keypoints, then made perpendicular to form the
+     * head's rotation. The face mesh's depth uses roughly the same scale as its x-axis, so no camera model is needed.
+     *
+     * @param {Keypoint[]} faceKeypoints Face Keypoints, in the order that the face landmarks model outputs them.
+     * @param {boolean} mirrored Whether the Keypoints have been flipped horizontally.
+     *
+     * @returns {HeadPose} The pose, which has a confidence of 0 if it cannot be solved.
+     */
+    static fromFaceKeypoints(faceKeypoints, mirrored = false) {
+        validateDefined(faceKeypoints);
+        validateBoolean(mirrored);
+
+        const indices = [...HeadPose.rightIndices, ...HeadPose.leftIndices, HeadPose.topIndex, HeadPose.bottomIndex];
+        if (indices.some(index => faceKeypoints[index] == null)) {
+            return new HeadPose();
+        }
+
+        const confidence = Math.min(...indices.map(index => faceKeypoints[index].getConfidence()));
+        if (confidence === 0) {
+            return new HeadPose();
+        }
+
+        /*
+         * The Keypoints are in screen space, where y points down and smaller z values are closer to the camera. They
+         * are converted to a space where x points to the person's left (when facing the camera), y points up, and z
+         * points towards the camera, so that a head facing the camera has no rotation.
+         */
+        const direction = mirrored ? -1 : 1;
+        const toVector = index => {
+            const keypoint = faceKeypoints[index];
+            return new Vector3(direction * keypoint.getX(), -keypoint.getY(), -keypoint.getZ());
+        };
+
+        const xAxis = new Vector3();
+        for (let i = 0 ; i < HeadPose.leftIndices.length ; i++) {
+            xAxis.add(toVector(HeadPose.leftIndices[i]).sub(toVector(HeadPose.rightIndices[i])));
+        }
+
+        const yAxis = toVector(HeadPose.topIndex).sub(toVector(HeadPose.bottomIndex));
+        if (xAxis.lengthSq() === 0 || yAxis.lengthSq() === 0) {
+            return new HeadPose();
+        }
+
+        xAxis.normalize();
+        yAxis.normalize();
+
+        // The measured axes are never quite perpendicular, and the further they are from it, the less we trust them.
+        const orthogonality = 1 - Math.abs(xAxis.dot(yAxis));
+
+        const zAxis = new Vector3().crossVectors(xAxis, yAxis).normalize();
+        yAxis.crossVectors(zAxis, xAxis);
+
+        const euler = new Euler().setFromRotationMatrix(new Matrix4().makeBasis(xAxis, yAxis, zAxis), "YXZ");
+        return new HeadPose(
+            MathUtils.radToDeg(euler.y),
+            -MathUtils.radToDeg(euler.x),
+            -MathUtils.radToDeg(euler.z),
+            confidence * orthogonality
+        );
+    }
+
+    /**
+     * Retrieves how confident we are that the pose is accurate.
+     *
+     * @returns {number} Confidence, from 0 to 1.
+     */
+    getConfidence() {
+        return this.confidence;
+    }
+
+    /**
+     * Retrieves the pitch of the head.
+     *
+     * @returns {number} Pitch, in degrees. Positive when the head tilts up.
+     */
+    getPitch() {
+        return this.pitch;
+    }
+
+    /**
+     * Retrieves the roll of the head.
+     *
+     * @returns {number} Roll, in degrees. Positive when the head tilts towards the person's left shoulder.
+     */
+    getRoll() {
+        return this.roll;
+    }
+
+    /**
+     * Retrieves the yaw of the head.
+     *
+     * @returns {number} Yaw, in degrees. Positive when the head turns towards the person's left.
+     */
+    getYaw() {
+        return this.yaw;
+    }
+}
\ No newline at end of file
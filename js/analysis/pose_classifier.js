@@ -0,0 +1,311 @@
+import {MathUtils} from "three";
+import {Keypoint} from "../keypoint.js";
+import {Mesh} from "../mesh.js";
+import {
+    validateDefined,
+    validateInstanceOf,
+    validateNonEmptyString,
+    validateNumber,
+    validatePositiveInteger
+} from "../utility/validation.js";
+
+/**
+ * Classifies the body Keypoints of a Mesh as named poses, such as raising the arms or turning sideways.
+ *
+ * Each pose is defined by constraints on angles measured between the body Keypoints, which are listed in
+ * {@link PoseClassifier.getMeasurements}. The poses are checked in the order they were added, and the first pose whose
+ * constraints are all met is the Mesh's pose. A pose must be held for `minimumFrames` updates before it is reported.
+ *
+ * The angles are named after the labels of the Keypoints, so they are swapped along with the labels by the mirror mode.
+ *
+ * Events:
+ * - `poseChanged` - `{mesh: Mesh, pose: string|null, previousPose: string|null}` The pose of a Mesh changed. The pose
+ *   is null when the Mesh isn't in any known pose.
+ */
+export class PoseClassifier extends EventTarget {
+    /**
+     * Default poses, by name. Each constraint limits an angle, in degrees, to be at least `min` and at most `max`.
+     *
+     * `turned_sideways` is checked first, as the other angles can't be trusted when the body is side-on to the camera.
+     */
+    static poses = {
+        turned_sideways: {torso_turn: {min: 60}},
+        arms_raised: {left_shoulder: {min: 140}, right_shoulder: {min: 140}},
+        t_pose: {
+            left_shoulder: {min: 70, max: 110},
+            right_shoulder: {min: 70, max: 110},
+            left_elbow: {min: 150},
+            right_elbow: {min: 150}
+        },
+        hands_on_hips: {
+            left_shoulder: {min: 20, max: 70},
+            right_shoulder: {min: 20, max: 70},
+            left_elbow: {min: 40, max: 130},
+            right_elbow: {min: 40, max: 130},
+            left_wrist: {max: 25},
+            right_wrist: {max: 25}
+        }
+    };
+
+    /** Names of the angles which poses can be constrained by. See {@link PoseClassifier.getMeasurements}. */
+    static measurements = [
+        "left_elbow",
+        "right_elbow",
+        "left_shoulder",
+        "right_shoulder",
+        "left_wrist",
+        "right_wrist",
+        "torso_turn"
+    ];
+
+    /**
+     * Width of the shoulders, relative to the length of the torso, when facing the camera. The shoulders appear to
+     * narrow as the body turns, which is used to measure the `torso_turn` angle.
+     */
+    static frontalShoulderWidth = 0.8;
+
+    /**
+     * Creates a new PoseClassifier.
+     *
+     * @param {{
+     *   minimumConfidence: number|undefined,
+     *   minimumFrames: number|undefined,
+     *   poses: Object<string, Object<string, {min: number|undefined, max: number|undefined}>>|undefined
+     * }} options Options to use. Keypoints with a confidence below `minimumConfidence`, which defaults to 0.3, are
+     *            ignored. Poses must be held for `minimumFrames` updates, which defaults to 3, before they are
+     *            reported. `poses` replaces the default poses it contains, and adds any others after them.
+     */
+    constructor(options = {}) {
+        super();
+
+        validateDefined(options);
+
+        this.minimumConfidence = options.minimumConfidence ?? 0.3;
+        validateNumber(this.minimumConfidence);
+
+        this.minimumFrames = options.minimumFrames ?? 3;
+        validatePositiveInteger(this.minimumFrames);
+
+        this.poses = new Map();
+        for (const [name, constraints] of Object.entries({...PoseClassifier.poses, ...options.poses})) {
+            this.addPose(name, constraints);
+        }
+
+        this.states = new WeakMap();
+    }
+
+    /**
+     * Adds a pose, or replaces an existing pose with the same name.
+     *
+     * New poses are checked after the existing ones, while replaced poses keep their place.
+     *
+     * @param {string} name Name of the pose.
+     * @param {Object<string, {min: number|undefined, max: number|undefined}>} constraints Limits of the angles, in
+     *                                                                                     degrees, by their name.
+     * @throws {Error} If a constraint limits an unknown angle.
+     */
+    addPose(name, constraints) {
+        validateNonEmptyString(name);
+        validateDefined(constraints);
+
+        for (const [measurement, constraint] of Object.entries(constraints)) {
+            if (!PoseClassifier.measurements.includes(measurement)) {
+                throw new Error(`Unsupported measurement: ${measurement}`);
+            }
+
+            validateDefined(constraint);
+            validateNumber(constraint.min ?? 0);
+            validateNumber(constraint.max ?? 0);
+        }
+
+        this.poses.set(name, constraints);
+    }
+
+    /**
+     * Removes a pose.
+     *
+     * @param {string} name Name of the pose.
+     */
+    removePose(name) {
+        validateNonEmptyString(name);
+        this.poses.delete(name);
+    }
+
+    /**
+     * Retrieves the names of the poses, in the order they are checked.
+     *
+     * @returns {string[]} Names of the poses.
+     */
+    getPoses() {
+        return [...this.poses.keys()];
+    }
+
+    /**
+     * Classifies the pose of a Mesh, and dispatches a `poseChanged` event if it has changed.
+     *
+     * This should be called each time that the body Keypoints are updated.
+     *
+     * @param {Mesh} mesh Mesh to classify.
+     * @returns {string|null} The pose, or null if the Mesh isn't in any known pose.
+     */
+    update(mesh) {
+        validateInstanceOf(mesh, Mesh);
+
+        if (!this.states.has(mesh)) {
+            this.states.set(mesh, {candidate: null, candidateFrames: 0, current: null});
+        }
+        const state = this.states.get(mesh);
+
+        const pose = this.classify(PoseClassifier.getMeasurements(mesh.getBodyKeypoints(), this.minimumConfidence));
+
+        if (pose !== state.candidate) {
+            state.candidate = pose;
+            state.candidateFrames = 0;
+        }
+        state.candidateFrames++;
+
+        if (state.candidateFrames >= this.minimumFrames && pose !== state.current) {
+            const previousPose = state.current;
+            state.current = pose;
+
+            this.dispatchEvent(new CustomEvent("poseChanged", {
+                detail: {mesh: mesh, pose: pose, previousPose: previousPose}
+            }));
+        }
+
+        return state.current;
+    }
+
+    /**
+     * Finds the first pose whose constraints are all met by a set of measurements.
+     *
+     * @param {Object<string, number|null>} measurements Angles, in degrees, by their name.
+     * @returns {string|null} Name of the pose, or null if no pose matches.
+     */
+    classify(measurements) {
+        for (const [name, constraints] of this.poses) {
+            const isMatch = Object.entries(constraints).every(([measurement, constraint]) => {
+                const angle = measurements[measurement];
+                return angle != null && angle >= (constraint.min ?? -Infinity) && angle <= (constraint.max ?? Infinity);
+            });
+
+            if (isMatch) {
+                return name;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Retrieves the current pose of a Mesh.
+     *
+     * @param {Mesh} mesh Mesh to check.
+     * @returns {string|null} The pose, or null if the Mesh isn't in any known pose.
+     */
+    getPose(mesh) {
+        return this.states.get(mesh)?.current ?? null;
+    }
+
+    /**
+     * Measures the angles of a body, in degrees.
+     *
+     * - `left_elbow` and `right_elbow` - Angle at the elbow, between the shoulder and the wrist. 180 when the arm is
+     *   straight.
+     * - `left_shoulder` and `right_shoulder` - Angle at the shoulder, between the hip and the elbow. 0 when the arm
+     *   hangs by the side, 90 when it is held out horizontally, and 180 when it is raised.
+     * - `left_wrist` and `right_wrist` - Angle at the shoulder, between the hip and the wrist. Small when the wrist is
+     *   near the hip.
+     * - `torso_turn` - How far the torso has turned away from the camera, estimated from the width of the shoulders. 0
+     *   when facing the camera, and 90 when side-on to it.
+     *
+     * @param {Keypoint[]} bodyKeypoints Body Keypoints.
+     * @param {number} minimumConfidence Keypoints with a lower confidence are ignored.
+     *
+     * @returns {Object<string, number|null>} The angles, by their name. An angle is null if any of its Keypoints
+     *                                        weren't detected.
+     */
+    static getMeasurements(bodyKeypoints, minimumConfidence = 0) {
+        validateDefined(bodyKeypoints);
+        validateNumber(minimumConfidence);
+
+        const keypoints = {};
+        for (const keypoint of bodyKeypoints) {
+            if (keypoint.getConfidence() > 0 && keypoint.getConfidence() >= minimumConfidence) {
+                keypoints[keypoint.getLabel()] = keypoint;
+            }
+        }
+
+        const angle = (a, vertex, b) => {
+            if (keypoints[a] == null || keypoints[vertex] == null || keypoints[b] == null) {
+                return null;
+            }
+
+            return PoseClassifier.getAngle(keypoints[a], keypoints[vertex], keypoints[b]);
+        };
+
+        const measurements = {};
+        for (const side of ["left", "right"]) {
+            measurements[`${side}_elbow`] = angle(`${side}_shoulder`, `${side}_elbow`, `${side}_wrist`);
+            measurements[`${side}_shoulder`] = angle(`${side}_hip`, `${side}_shoulder`, `${side}_elbow`);
+            measurements[`${side}_wrist`] = angle(`${side}_hip`, `${side}_shoulder`, `${side}_wrist`);
+        }
+
+        measurements.torso_turn = PoseClassifier.getTorsoTurn(keypoints);
+        return measurements;
+    }
+
+    /**
+     * Estimates how far the torso has turned away from the camera, from the width of the shoulders relative to the
+     * length of the torso.
+     *
+     * @param {Object<string, Keypoint>} keypoints Body Keypoints, by their label.
+     * @returns {number|null} Angle, in degrees, or null if the shoulders or hips weren't detected.
+     */
+    static getTorsoTurn(keypoints) {
+        const labels = ["left_shoulder", "right_shoulder", "left_hip", "right_hip"];
+        if (labels.some(label => keypoints[label] == null)) {
+            return null;
+        }
+
+        const [leftShoulder, rightShoulder, leftHip, rightHip] = labels.map(label => keypoints[label]);
+
+        const shoulderWidth = Math.hypot(
+            leftShoulder.getX() - rightShoulder.getX(),
+            leftShoulder.getY() - rightShoulder.getY()
+        );
+        const torsoLength = Math.hypot(
+            (leftShoulder.getX() + rightShoulder.getX() - leftHip.getX() - rightHip.getX()) / 2,
+            (leftShoulder.getY() + rightShoulder.getY() - leftHip.getY() - rightHip.getY()) / 2
+        );
+        if (torsoLength === 0) {
+            return null;
+        }
+
+        const ratio = shoulderWidth / torsoLength / PoseClassifier.frontalShoulderWidth;
+        return MathUtils.radToDeg(Math.acos(MathUtils.clamp(ratio, 0, 1)));
+    }
+
+    /**
+     * Calculates the angle at a Keypoint, between two others, ignoring depth.
+     *
+     * @param {Keypoint} a First Keypoint.
+     * @param {Keypoint} vertex Keypoint at which the angle is measured.
+     * @param {Keypoint} b Second Keypoint.
+     *
+     * @returns {number} Angle, in degrees, from 0 to 180.
+     */
+    static getAngle(a, vertex, b) {
+        const ax = a.getX() - vertex.getX();
+        const ay = a.getY() - vertex.getY();
+        const bx = b.getX() - vertex.getX();
+        const by = b.getY() - vertex.getY();
+
+        const lengths = Math.hypot(ax, ay) * Math.hypot(bx, by);
+        if (lengths === 0) {
+            return 0;
+        }
+
+        return MathUtils.radToDeg(Math.acos(MathUtils.clamp((ax * bx + ay * by) / lengths, -1, 1)));
+    }
+}
\ No newline at end of file
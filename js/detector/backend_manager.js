@@ -0,0 +1,187 @@
+import {Detector} from "./detector.js";
+import {WorkerModel} from "./worker_model.js";
+import {validateDefined, validateInstanceOf, validateNonEmptyString} from "../utility/validation.js";
+
+/**
+ * Selects the TFJS backend which the Detectors run their models on.
+ *
+ * The backends are probed in order of preference, and the first which can run a simple operation is used. This lets
+ * the Detectors fall back to the WASM or CPU backends on devices without a usable GPU.
+ *
+ * Events:
+ * - `backendChanged` - `{backend: string}` The backend was changed.
+ */
+export class BackendManager extends EventTarget {
+    /** Names of the backends which can be used. */
+    static supportedBackends = ["webgl", "webgpu", "wasm", "cpu"];
+
+    /** Location of the WASM backend's binaries. */
+    static wasmPath = "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm/dist/";
+
+    /**
+     * Creates a new BackendManager.
+     *
+     * @param {{
+     *   backends: string[]|undefined
+     * }} options Options to use. `backends` is the order in which to try the backends, and defaults to
+     *            `supportedBackends`.
+     * @throws {Error} If any of the backends are unsupported.
+     */
+    constructor(options = {}) {
+        super();
+
+        validateDefined(options);
+
+        this.backends = options.backends ?? BackendManager.supportedBackends;
+        for (const backend of this.backends) {
+            BackendManager.validateBackend(backend);
+        }
+
+        this.backend = null;
+        this.detectors = [];
+
+        tf.wasm?.setWasmPaths(BackendManager.wasmPath);
+    }
+
+    /**
+     * Selects the first backend, in order of preference, which works.
+     *
+     * This must be awaited before any Detectors are created, so that they load their models on the selected backend.
+     *
+     * @throws {Error} If none of the backends work.
+     *
+     * @returns {Promise<string>} A promise that resolves to the name of the selected backend.
+     */
+    async initialize() {
+        for (const backend of this.backends) {
+            if (await BackendManager.tryBackend(backend)) {
+                this.backend = backend;
+                await WorkerModel.setBackends(this.backends);
+
+                this.dispatchEvent(new CustomEvent("backendChanged", {detail: {backend: backend}}));
+                return backend;
+            }
+        }
+
+        throw new Error(`None of the backends work: ${this.backends.join(", ")}`);
+    }
+
+    /**
+     * Switches to a different backend, and reloads the models of every Detector.
+     *
+     * The models are unloaded before the backend is changed, once they have finished processing their current frames,
+     * so that none of them run on the new backend with weights that belong to the previous one.
+     *
+     * The worker prefers the same backend, but falls back to the others if it cannot use it, so each Detector's
+     * `getBackend()` should be checked to see which backend it is actually using.
+     *
+     * @param {string} backend Name of the backend to switch to.
+     * @throws {Error} If the backend is unsupported, or doesn't work. The previous backend is kept.
+     *
+     * @returns {Promise<void>} A promise that resolves when the models have been reloaded.
+     */
+    async setBackend(backend) {
+        BackendManager.validateBackend(backend);
+
+        if (backend === this.backend) {
+            return;
+        }
+
+        await Promise.all(this.detectors.map(detector => detector.unloadModel()));
+
+        if (!await BackendManager.tryBackend(backend)) {
+            if (this.backend != null) {
+                await BackendManager.tryBackend(this.backend);
+            }
+
+            // The models are still needed on the previous backend.
+            await Promise.all(this.detectors.map(detector => detector.reloadModel()));
+            throw new Error(`The ${backend} backend doesn't work.`);
+        }
+
+        this.backend = backend;
+        await WorkerModel.setBackends([backend, ...this.backends.filter(other => other !== backend)]);
+        this.dispatchEvent(new CustomEvent("backendChanged", {detail: {backend: backend}}));
+
+        await Promise.all(this.detectors.map(detector => detector.reloadModel()));
+    }
+
+    /**
+     * Attempts to switch TFJS to a backend, and to run a simple operation on it.
+     *
+     * @param {string} backend Name of the backend to try.
+     * @returns {Promise<boolean>} A promise that resolves to whether the backend works.
+     */
+    static async tryBackend(backend) {
+        try {
+            if (!await tf.setBackend(backend)) {
+                return false;
+            }
+
+            await tf.ready();
+
+            const tensor = tf.add(tf.scalar(1), tf.scalar(1));
+            const [value] = await tensor.data();
+            tensor.dispose();
+
+            return value === 2;
+        } catch (e) {
+            // Backends which have not been registered, such as when their script failed to load, throw an error.
+            return false;
+        }
+    }
+
+    /**
+     * Validates that a backend is supported.
+     *
+     * @param {string} backend Name of the backend.
+     * @throws {Error} If the backend is unsupported.
+     */
+    static validateBackend(backend) {
+        validateNonEmptyString(backend);
+
+        if (!BackendManager.supportedBackends.includes(backend)) {
+            throw new Error(`Unsupported backend: ${backend}`);
+        }
+    }
+
+    /**
+     * Adds a Detector, whose model should be reloaded when the backend is changed.
+     *
+     * @param {Detector} detector Detector to add.
+     */
+    addDetector(detector) {
+        validateInstanceOf(detector, Detector);
+
+        if (!this.detectors.includes(detector)) {
+            this.detectors.push(detector);
+        }
+    }
+
+    /**
+     * Removes a Detector, so that its model is no longer reloaded when the backend is changed.
+     *
+     * @param {Detector} detector Detector to remove.
+     */
+    removeDetector(detector) {
+        this.detectors = this.detectors.filter(other => other !== detector);
+    }
+
+    /**
+     * Retrieves the name of the backend which is in use on the main thread.
+     *
+     * @returns {string|null} Name of the backend, or null if {@link initialize} has not completed.
+     */
+    getBackend() {
+        return this.backend;
+    }
+
+    /**
+     * Retrieves the order in which the backends are tried.
+     *
+     * @returns {string[]} Names of the backends.
+     */
+    getBackends() {
+        return this.backends;
+    }
+}
\ No newline at end of file
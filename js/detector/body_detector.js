@@ -1,75 +1,167 @@
 import {Detector} from "./detector.js";
-import {Mesh} from "../mesh.js";
-import {validateInstanceOf} from "../utility/validation.js";
+import {People} from "../people.js";
+import {PoseClassifier} from "../analysis/pose_classifier.js";
+import {
+    validateDefined,
+    validateInstanceOf,
+    validateNumber,
+    validatePositiveInteger,
+    validatePositiveNumber
+} from "../utility/validation.js";
 
 /**
  * See the following link for more information about the body landmarks detection model:
  * https://github.com/tensorflow/tfjs-models/tree/master/pose-detection
  */
 export class BodyDetector extends Detector {
-    /** Desired number of frames per second. */
+    /** Default number of frames per second. */
     static fps = 30;
 
-    /** Singleton instance of the HandDetector. */
+    /** Singleton instance of the BodyDetector. */
     static instance;
 
+    /**
+     * Names of the models which can be used. Only the MoveNet Lightning model can detect more than one person.
+     *
+     * See https://github.com/tensorflow/tfjs-models/tree/master/pose-detection#pose-estimation for a comparison.
+     */
+    static supportedModels = ["BlazePoseFull", "BlazePoseHeavy", "BlazePoseLite", "MoveNetLightning", "MoveNetThunder"];
+
     /**
      * Creates a new BodyDetector, or returns the existing one if it already exists.
      *
-     * @param {Mesh} mesh Mesh to update with the detected body keypoints.
+     * @param {People} people People to update with the detected body keypoints.
+     * @param {{
+     *   fps: number|undefined,
+     *   maxDetections: number|undefined,
+     *   minimumScore: number|undefined,
+     *   model: string|undefined,
+     *   poseClassifier: PoseClassifier|null|undefined
+     * }} options Options to use. `model` defaults to `MoveNetLightning`, `maxDetections` defaults to the maximum number
+     *            of people, or to one for the models which can only detect one body, and bodies with a score below
+     *            `minimumScore` are ignored. The bodies are given to the `poseClassifier` after each update, whose
+     *            `poseChanged` events are re-dispatched by the BodyDetector. It defaults to a new PoseClassifier, and
+     *            poses aren't classified if it is null.
+     * @throws {Error} If the model is unknown, or if it cannot detect the requested number of bodies.
      */
-    constructor(mesh) {
+    constructor(people, options = {}) {
         if (BodyDetector.instance) {
             return BodyDetector.instance;
         }
 
-        validateInstanceOf(mesh, Mesh);
+        validateInstanceOf(people, People);
+        validateDefined(options);
 
-        super();
-        BodyDetector.instance = this;
+        super(options);
 
-        this.mesh = mesh;
+        this.fps = options.fps ?? BodyDetector.fps;
+        validatePositiveNumber(this.fps);
 
-        poseDetection.createDetector(
-            poseDetection.SupportedModels.MoveNet,
-            { runtime: "tfjs"}
-        ).then(detector => {
-            this.detector = detector;
-            this.dispatchEvent(new CustomEvent("ready"));
-        });
-    }
+        this.minimumScore = options.minimumScore ?? 0.25;
+        validateNumber(this.minimumScore);
+
+        this.model = options.model ?? "MoveNetLightning";
+        if (!BodyDetector.supportedModels.includes(this.model)) {
+            throw new Error(`Unsupported model: ${this.model}`);
+        }
 
-    /** @type RunnableInterval["start"] */
-    start() {
-        if (this.detector == null) {
-            throw new Error("Detector not initialized.");
+        // Only MoveNet can detect more than one body, so the other models only track the first person by default.
+        const isMultiPose = this.model === "MoveNetLightning";
+        this.maxDetections = options.maxDetections ?? (isMultiPose ? people.getMaximumPeople() : 1);
+        validatePositiveInteger(this.maxDetections);
+
+        if (this.maxDetections > 1 && !isMultiPose) {
+            throw new Error(`The ${this.model} model can only detect one body.`);
         }
 
-        if (this.intervalId != null) {
-            throw new Error("Already running.");
+        this.poseClassifier = options.poseClassifier === undefined ? new PoseClassifier() : options.poseClassifier;
+        if (this.poseClassifier != null) {
+            validateInstanceOf(this.poseClassifier, PoseClassifier);
+
+            this.poseClassifier.addEventListener("poseChanged", e => {
+                this.dispatchEvent(new CustomEvent("poseChanged", {detail: e.detail}));
+            });
         }
 
-        this.dispatchEvent(new CustomEvent("started"));
-        this.intervalId = setInterval(async () => {
-            const currentTime = performance.now();
-
-            let rawBodies = [];
-            try {
-                rawBodies = await this.detector.estimatePoses(Detector.getCurrentFrame());
-            } catch (e) {
-                /*
-                 * Depending on the state of the video element, this can throw a "Requested texture size [0x0] is
-                 * invalid." error. It doesn't seem to cause any issues, so we ignore it.
-                 */
+        BodyDetector.instance = this;
+
+        this.people = people;
+
+        this.loadModel("poseDetection", ...this.getModelConfig());
+    }
+
+    /**
+     * Retrieves the arguments to create the underlying TFJS detector with.
+     *
+     * @returns {[string, object]} The model to create, and its configuration.
+     */
+    getModelConfig() {
+        switch (this.model) {
+            case "BlazePoseFull":
+            case "BlazePoseHeavy":
+            case "BlazePoseLite": {
+                return [
+                    poseDetection.SupportedModels.BlazePose,
+                    {
+                        runtime: "tfjs",
+                        enableSmoothing: true,
+                        modelType: this.model.replace("BlazePose", "").toLowerCase()
+                    }
+                ];
+            }
+            case "MoveNetThunder": {
+                return [
+                    poseDetection.SupportedModels.MoveNet,
+                    {
+                        runtime: "tfjs",
+                        enableSmoothing: true,
+                        minPoseScore: this.minimumScore,
+                        modelType: poseDetection.movenet.modelType.SINGLEPOSE_THUNDER
+                    }
+                ];
+            }
+            default: {
+                // The single-pose model is faster and more accurate, so the multi-pose model is only used when needed.
+                return [
+                    poseDetection.SupportedModels.MoveNet,
+                    {
+                        runtime: "tfjs",
+                        enableSmoothing: true,
+                        minPoseScore: this.minimumScore,
+                        modelType: this.maxDetections > 1
+                            ? poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING
+                            : poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING
+                    }
+                ];
             }
+        }
+    }
 
-            if (rawBodies.length > 0) {
-                const rawBody = rawBodies[0];
-                this.mesh.updateBodyKeypoints(rawBody);
+    /** @type Detector["estimate"] */
+    async estimate(frame) {
+        const rawBodies = await this.detector.estimatePoses(this.getModelInput(frame), {maxPoses: this.maxDetections});
+
+        // Not every model filters out bodies by their score, so we do it here.
+        return rawBodies.filter(rawBody => (rawBody.score ?? 1) >= this.minimumScore);
+    }
+
+    /** @type Detector["update"] */
+    update(rawBodies, frameWidth, frameHeight) {
+        this.people.updateBodies(rawBodies, frameWidth, frameHeight);
+
+        if (this.poseClassifier != null) {
+            for (const mesh of this.people.getMeshes()) {
+                this.poseClassifier.update(mesh);
             }
+        }
+    }
 
-            this.lastRuntime = performance.now() - currentTime;
-            this.dispatchEvent(new CustomEvent("updated", {detail: {runtime: this.lastRuntime}}));
-        }, 1000 / BodyDetector.fps);
+    /**
+     * Retrieves the PoseClassifier which the bodies are given to after each update.
+     *
+     * @returns {PoseClassifier|null} The PoseClassifier, or null if poses aren't classified.
+     */
+    getPoseClassifier() {
+        return this.poseClassifier;
     }
 }
\ No newline at end of file
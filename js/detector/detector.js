@@ -1,14 +1,385 @@
-import {RunnableInterval} from "../runnable_interval.js";
-import {validateInstanceOf} from "../utility/validation.js";
+import {Frame} from "../frame.js";
+import {ModelLoader} from "./model_loader.js";
+import {DetectorError, InferenceError, InvalidFrameError, ModelLoadError, UpdateError} from "./detector_error.js";
+import {Runnable} from "../runnable.js";
+import {WorkerModel} from "./worker_model.js";
+import {
+    validateBoolean,
+    validateDefined,
+    validateInstanceOf,
+    validateNonEmptyString,
+    validateNumber,
+    validatePositiveInteger,
+    validatePositiveNumber
+} from "../utility/validation.js";
 
-export class Detector extends RunnableInterval {
-    /** Current frame to be processed. */
-    static currentFrame = null;
+export class Detector extends Runnable {
+    /** Default number of times to try to create the model, before giving up. */
+    static loadAttempts = 3;
+
+    /** Default number of milliseconds to wait before retrying. The delay doubles after each failed attempt. */
+    static loadRetryDelay = 1000;
+
+    /**
+     * Creates a new Detector.
+     *
+     * @param {{
+     *   cacheModels: boolean|undefined,
+     *   loadAttempts: number|undefined,
+     *   loadRetryDelay: number|undefined,
+     *   modelUrls: Object<string, string>|undefined,
+     *   useWorker: boolean|undefined
+     * }} options Options to use. If `useWorker` is true, then the model is run in a Web Worker, so that inference does
+     *            not block the main thread. If the model cannot be created, then it is tried up to `loadAttempts`
+     *            times, waiting `loadRetryDelay` milliseconds before the first retry and twice as long before each one
+     *            after. `modelUrls` maps the model's URL options, such as `modelUrl` or `detectorModelUrl`, to the URLs
+     *            of self-hosted `model.json` files, which are cached in IndexedDB unless `cacheModels` is false.
+     */
+    constructor(options = {}) {
+        validateDefined(options);
 
-    /** Creates a new Detector. */
-    constructor() {
         super();
+        this.backend = null;
+        this.detector = null;
+        this.estimation = null;
+        this.fps = null;
+        this.isEstimating = false;
+        this.modelArguments = null;
+        this.modelChange = null;
+
+        this.cacheModels = options.cacheModels ?? true;
+        validateBoolean(this.cacheModels);
+
+        this.loadAttempts = options.loadAttempts ?? Detector.loadAttempts;
+        validatePositiveInteger(this.loadAttempts);
+
+        this.loadRetryDelay = options.loadRetryDelay ?? Detector.loadRetryDelay;
+        validateNumber(this.loadRetryDelay);
+
+        this.modelUrls = options.modelUrls ?? {};
+        for (const url of Object.values(this.modelUrls)) {
+            validateNonEmptyString(url);
+        }
+
+        this.useWorker = options.useWorker ?? false;
+        validateBoolean(this.useWorker);
+    }
+
+    /**
+     * @type Runnable["start"]
+     * @throws {Error} If the underlying TFJS detector is not ready.
+     */
+    start() {
+        if (this.detector == null) {
+            throw new Error("Detector not initialized.");
+        }
+
+        super.start();
+    }
+
+    /**
+     * Runs the model on a frame, then updates the Keypoints with the results.
+     *
+     * The Scheduler does not run a Detector while it is busy, so slow models skip frames rather than queueing them.
+     *
+     * If the frame cannot be processed, then an `error` event is dispatched with an {@link InvalidFrameError} or an
+     * {@link InferenceError}, and the Keypoints are left as they were. If the Keypoints cannot be updated with the
+     * results, then an `error` event is dispatched with an {@link UpdateError}.
+     *
+     * @param {Frame} frame Frame to process. It is retained until the model has finished with it.
+     * @returns {Promise<void>} A promise that resolves when the Keypoints have been updated, or the frame has failed.
+     */
+    async run(frame) {
+        validateInstanceOf(frame, Frame);
+
+        if (frame.isDisposed()) {
+            this.dispatchError(new InvalidFrameError("The frame has already been disposed."));
+            return;
+        }
+
+        if (frame.getWidth() === 0 || frame.getHeight() === 0) {
+            this.dispatchError(new InvalidFrameError("The frame is empty."));
+            return;
+        }
+
+        this.isEstimating = true;
+        frame.retain();
+
+        const currentTime = performance.now();
+
+        let rawObjects;
+        try {
+            this.estimation = this.estimate(frame);
+            rawObjects = await this.estimation;
+        } catch (e) {
+            /*
+             * Depending on the state of the video element, the model can throw a "Requested texture size [0x0] is
+             * invalid." error. This is a problem with the frame, rather than with the model.
+             */
+            if (/texture size \[0x0]/.test(e?.message)) {
+                this.dispatchError(new InvalidFrameError("The frame is empty.", e));
+            } else {
+                this.dispatchError(new InferenceError("The model failed to process the frame.", e));
+            }
+            return;
+        } finally {
+            frame.release();
+            this.estimation = null;
+            this.isEstimating = false;
+        }
+
+        /*
+         * The update may also run analysers, whose errors must not escape the loop. Errors thrown by the listeners of
+         * events dispatched during the update aren't caught here, as the browser reports those itself.
+         */
+        try {
+            this.update(rawObjects, frame.getWidth(), frame.getHeight(), frame.getTime());
+
+            this.lastRuntime = performance.now() - currentTime;
+            this.dispatchEvent(new CustomEvent("updated", {detail: {runtime: this.lastRuntime}}));
+        } catch (e) {
+            this.dispatchError(new UpdateError("Failed to update the Keypoints with the results.", e));
+        }
+    }
+
+    /**
+     * Determines whether the model is still processing a frame.
+     *
+     * @returns {boolean} Whether the model is still processing a frame.
+     */
+    isBusy() {
+        return this.isEstimating;
+    }
+
+    /**
+     * Retrieves the input to give to the model for a frame.
+     *
+     * @param {Frame} frame Frame to process.
+     * @returns {Frame|Tensor} The Frame itself if the model is in a worker, otherwise the Frame's tensor.
+     */
+    getModelInput(frame) {
+        return this.detector instanceof WorkerModel ? frame : frame.getTensor();
+    }
+
+    /**
+     * Dispatches an `error` event.
+     *
+     * @param {DetectorError} error Error to dispatch.
+     */
+    dispatchError(error) {
+        this.dispatchEvent(new CustomEvent("error", {detail: {error: error}}));
+    }
+
+    /**
+     * Creates the underlying TFJS detector, and dispatches a `ready` event with the name of the backend it runs on.
+     *
+     * While the model is loading, `loadProgress` events are dispatched with the fraction, from 0 to 1, that has loaded.
+     * Models which are loaded from their default URLs only report 0 and 1, as their size is unknown.
+     *
+     * Each failed attempt dispatches an `error` event with a {@link ModelLoadError}. The model is tried up to
+     * `loadAttempts` times, with the delay between attempts doubling each time, before the Detector gives up.
+     *
+     * The model is loaded once any previous load, reload, or unload of the model has finished, and any model which was
+     * already loaded is unloaded first.
+     *
+     * @param {string} library Name of the global of the TFJS library to create the model with, such as `poseDetection`.
+     * @param {string} model Name of the model to create, such as `MoveNet`.
+     * @param {object} config Configuration of the model.
+     *
+     * @returns {Promise<boolean>} A promise that resolves to whether the model was created.
+     */
+    async loadModel(library, model, config) {
+        this.modelArguments = [library, model, config];
+
+        return await this.queueModelChange(async () => {
+            await this.disposeModel();
+            return await this.createModelWithRetries(library, model, config);
+        });
+    }
+
+    /**
+     * Creates the underlying TFJS detector, retrying if it fails. See {@link loadModel}.
+     *
+     * @param {string} library Name of the global of the TFJS library to create the model with, such as `poseDetection`.
+     * @param {string} model Name of the model to create, such as `MoveNet`.
+     * @param {object} config Configuration of the model.
+     *
+     * @returns {Promise<boolean>} A promise that resolves to whether the model was created.
+     */
+    async createModelWithRetries(library, model, config) {
+        for (let attempt = 1 ; attempt <= this.loadAttempts ; attempt++) {
+            try {
+                this.dispatchLoadProgress(0);
+
+                const artifacts = await this.loadModelArtifacts();
+                this.detector = await this.createModel(library, model, config, artifacts);
+                // Models which don't use the main thread's TFJS backend, such as those in the worker, report their own.
+                this.backend = this.detector.getBackend?.() ?? tf.getBackend();
+
+                this.dispatchLoadProgress(1);
+                this.dispatchEvent(new CustomEvent("ready", {detail: {backend: this.backend}}));
+                return true;
+            } catch (e) {
+                const willRetry = attempt < this.loadAttempts;
+                this.dispatchError(new ModelLoadError(`Failed to load the ${model} model.`, e, attempt, willRetry));
+
+                if (willRetry) {
+                    const delay = this.loadRetryDelay * 2 ** (attempt - 1);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Disposes the underlying TFJS detector, and creates it again. This is needed after the TFJS backend is changed, as
+     * the model's weights belong to the previous backend.
+     *
+     * The Detector isn't run while its model is being reloaded, but it isn't stopped either, so it runs again once the
+     * model is created, unless it is stopped in the meantime. See {@link loadModel}.
+     *
+     * @returns {Promise<boolean>} A promise that resolves to whether the model was created.
+     */
+    async reloadModel() {
+        if (this.modelArguments == null) {
+            throw new Error("The model has not been loaded.");
+        }
+
+        return await this.loadModel(...this.modelArguments);
+    }
+
+    /**
+     * Disposes the underlying TFJS detector, once any previous load, reload, or unload of the model has finished.
+     *
+     * The Detector isn't run until its model is loaded again, with {@link reloadModel}.
+     *
+     * @returns {Promise<void>} A promise that resolves when the model has been disposed.
+     */
+    async unloadModel() {
+        await this.queueModelChange(() => this.disposeModel());
+    }
+
+    /**
+     * Disposes the underlying TFJS detector, if there is one.
+     *
+     * The model is taken away before it is disposed, so that the Scheduler doesn't give it any more frames, and it is
+     * only disposed once it has finished processing the frame that it was given last.
+     *
+     * @returns {Promise<void>} A promise that resolves when the model has been disposed.
+     */
+    async disposeModel() {
+        const detector = this.detector;
         this.detector = null;
+        this.backend = null;
+
+        // Errors of the estimation are dispatched by the run that started it, so they are not needed here.
+        await this.estimation?.catch(() => {});
+
+        detector?.dispose();
+    }
+
+    /**
+     * Runs a change to the model, such as loading it, once every change which was queued before it has finished.
+     *
+     * This prevents overlapping changes from creating more than one model, where the model created first would be
+     * replaced without being disposed.
+     *
+     * @param {function(): Promise<*>} change Function which makes the change.
+     * @returns {Promise<*>} A promise that resolves to the result of the change.
+     */
+    async queueModelChange(change) {
+        const previousChange = this.modelChange;
+
+        const currentChange = (async () => {
+            // A failed change is reported by whoever made it, so it doesn't stop the changes after it.
+            await previousChange?.catch(() => {});
+            return await change();
+        })();
+
+        this.modelChange = currentChange;
+        return await currentChange;
+    }
+
+    /**
+     * Loads the artifacts of the self-hosted models in `modelUrls`, dispatching `loadProgress` events as they load.
+     *
+     * @returns {Promise<Object<string, object>>} A promise that resolves to the artifacts, by their URL option.
+     */
+    async loadModelArtifacts() {
+        const entries = Object.entries(this.modelUrls);
+        const progresses = entries.map(() => 0);
+
+        const artifacts = await Promise.all(entries.map(([option, url], index) => ModelLoader.load(url, {
+            cache: this.cacheModels,
+            onProgress: progress => {
+                progresses[index] = progress;
+
+                // The model still has to be created once the artifacts have loaded, so they don't reach 1 on their own.
+                const total = progresses.reduce((sum, value) => sum + value, 0) / progresses.length;
+                this.dispatchLoadProgress(total * 0.9);
+            }
+        })));
+
+        return Object.fromEntries(entries.map(([option], index) => [option, artifacts[index]]));
+    }
+
+    /**
+     * Creates the underlying TFJS detector, in the worker if `useWorker` is true.
+     *
+     * If the worker cannot create the model, such as when the browser does not support WebGL in workers, then it is
+     * created on the main thread instead, and a `workerFallback` event is dispatched with the worker's error.
+     *
+     * @param {string} library Name of the global of the TFJS library to create the model with, such as `poseDetection`.
+     * @param {string} model Name of the model to create, such as `MoveNet`.
+     * @param {object} config Configuration of the model.
+     * @param {Object<string, object>} artifacts Artifacts of self-hosted models, by the URL option they replace.
+     *
+     * @returns {Promise<object>} A promise that resolves to the model.
+     */
+    async createModel(library, model, config, artifacts = {}) {
+        if (this.useWorker) {
+            try {
+                return await WorkerModel.create(library, model, config, artifacts);
+            } catch (error) {
+                this.dispatchEvent(new CustomEvent("workerFallback", {detail: {error: error}}));
+            }
+        }
+
+        const handlers = Object.entries(artifacts).map(([option, value]) => [option, tf.io.fromMemory(value)]);
+        return await globalThis[library].createDetector(model, {...config, ...Object.fromEntries(handlers)});
+    }
+
+    /**
+     * Dispatches a `loadProgress` event.
+     *
+     * @param {number} progress Fraction of the model that has loaded, from 0 to 1.
+     */
+    dispatchLoadProgress(progress) {
+        this.dispatchEvent(new CustomEvent("loadProgress", {detail: {progress: progress}}));
+    }
+
+    /**
+     * Runs the model on a frame.
+     *
+     * @param {Frame} frame Frame to process.
+     * @returns {Promise<Object[]>} A promise that resolves to the raw objects detected by the model.
+     */
+    async estimate(frame) {
+        throw new Error("Not implemented.");
+    }
+
+    /**
+     * Updates the Keypoints with the raw objects detected by the model.
+     *
+     * @param {Object[]} rawObjects Raw objects detected by the model.
+     * @param {number} frameWidth Width, in pixels, of the frame that the objects were detected in.
+     * @param {number} frameHeight Height, in pixels, of the frame that the objects were detected in.
+     * @param {number} time Time at which the frame that the objects were detected in was captured, in milliseconds.
+     */
+    update(rawObjects, frameWidth, frameHeight, time) {
+        throw new Error("Not implemented.");
     }
 
     /**
@@ -22,30 +393,39 @@ export class Detector extends RunnableInterval {
     }
 
     /**
-     * Determines whether the underlying TFJS detector is ready to be used.
+     * Retrieves the name of the TFJS backend which the model runs on.
      *
-     * @returns {boolean} Whether the underlying TFJS detector is ready to be used.
+     * @returns {string|null} Name of the backend, or null if the model is not ready.
      */
-    isReady() {
-        return this.detector != null;
+    getBackend() {
+        return this.backend;
     }
 
     /**
-     * Retrieves the current frame.
+     * Retrieves the number of times per second that the Detector runs.
      *
-     * @returns {Tensor} Current frame.
+     * @returns {number} Desired number of frames per second.
      */
-    static getCurrentFrame() {
-        return Detector.currentFrame;
+    getFps() {
+        return this.fps;
+    }
+
+    /**
+     * Determines whether the underlying TFJS detector is ready to be used.
+     *
+     * @returns {boolean} Whether the underlying TFJS detector is ready to be used.
+     */
+    isReady() {
+        return this.detector != null;
     }
 
     /**
-     * Sets the current frame.
+     * Sets the number of times per second that the Detector runs.
      *
-     * @param frame New current frame.
+     * @param {number} fps Desired number of frames per second.
      */
-    static setCurrentFrame(frame) {
-        Detector.currentFrame?.dispose();
-        Detector.currentFrame = frame;
+    setFps(fps) {
+        validatePositiveNumber(fps);
+        this.fps = fps;
     }
 }
\ No newline at end of file
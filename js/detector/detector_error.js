@@ -0,0 +1,45 @@
+/** Base class of the errors which a Detector reports through its `error` event. */
+export class DetectorError extends Error {
+    /**
+     * Creates a new DetectorError.
+     *
+     * @param {string} message Description of the error.
+     * @param {*} cause Underlying error which caused this error, if any.
+     */
+    constructor(message, cause = undefined) {
+        super(message, {cause: cause});
+        this.name = this.constructor.name;
+    }
+}
+
+/** Dispatched in an `error` event when the underlying TFJS model could not be created. */
+export class ModelLoadError extends DetectorError {
+    /**
+     * Creates a new ModelLoadError.
+     *
+     * @param {string} message Description of the error.
+     * @param {*} cause Underlying error which caused this error, if any.
+     * @param {number} attempt Number of the attempt which failed, starting at 1.
+     * @param {boolean} willRetry Whether the Detector will try to create the model again.
+     */
+    constructor(message, cause, attempt, willRetry) {
+        super(message, cause);
+        this.attempt = attempt;
+        this.willRetry = willRetry;
+    }
+}
+
+/** Dispatched in an `error` event when the underlying TFJS model fails to process a frame. */
+export class InferenceError extends DetectorError {}
+
+/**
+ * Dispatched in an `error` event when a frame cannot be processed, such as when it is empty or has already been
+ * disposed.
+ */
+export class InvalidFrameError extends DetectorError {}
+
+/**
+ * Dispatched in an `error` event when the Keypoints could not be updated with the output of the model, such as when an
+ * analyser run during the update throws.
+ */
+export class UpdateError extends DetectorError {}
\ No newline at end of file
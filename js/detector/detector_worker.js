@@ -0,0 +1,141 @@
+/*
+ * Hosts the TFJS models of the Detectors, so that inference does not block the main thread.
+ *
+ * This is a classic worker, rather than a module worker, because the TFJS libraries are only published as scripts
+ * which define globals. It is created, and spoken to, by the WorkerModel class.
+ *
+ * Every message has an `id`, which is echoed in the reply along with either a `result` or an `error` message.
+ */
+importScripts(
+    "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-core/dist/tf-core.min.js",
+    "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-converter/dist/tf-converter.min.js",
+    "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-cpu/dist/tf-backend-cpu.min.js",
+    "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm/dist/tf-backend-wasm.min.js",
+    "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-webgl/dist/tf-backend-webgl.min.js",
+    "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-webgpu/dist/tf-backend-webgpu.min.js",
+    "https://cdn.jsdelivr.net/npm/@tensorflow-models/face-landmarks-detection/dist/face-landmarks-detection.min.js",
+    "https://cdn.jsdelivr.net/npm/@tensorflow-models/pose-detection/dist/pose-detection.min.js",
+    "https://cdn.jsdelivr.net/npm/@tensorflow-models/hand-pose-detection/dist/hand-pose-detection.min.js"
+);
+
+tf.wasm.setWasmPaths("https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm/dist/");
+
+/** Libraries which models can be created from, by the names of their globals. */
+const libraries = {
+    faceLandmarksDetection: faceLandmarksDetection,
+    handPoseDetection: handPoseDetection,
+    poseDetection: poseDetection
+};
+
+/** Methods which can be called to run inference on a model. */
+const estimateMethods = ["estimateFaces", "estimateHands", "estimatePoses"];
+
+/** Models which have been created, by their ID. */
+const models = new Map();
+let nextModelId = 0;
+
+/** Order of the backends which were last tried, so that they are only probed again when the order changes. */
+let selectedBackends = null;
+
+/**
+ * Switches to the first backend, in order of preference, which can run a simple operation.
+ *
+ * This mirrors BackendManager.tryBackend, which cannot be imported into a classic worker.
+ *
+ * @param {string[]} backends Names of the backends, in order of preference.
+ * @throws {Error} If none of the backends work.
+ *
+ * @returns {Promise<string>} A promise that resolves to the name of the selected backend.
+ */
+async function selectBackend(backends) {
+    for (const backend of backends) {
+        try {
+            if (!await tf.setBackend(backend)) {
+                continue;
+            }
+
+            await tf.ready();
+
+            const tensor = tf.add(tf.scalar(1), tf.scalar(1));
+            const [value] = await tensor.data();
+            tensor.dispose();
+
+            if (value === 2) {
+                selectedBackends = backends.join();
+                return backend;
+            }
+        } catch (e) {
+            // Backends which have not been registered, such as when their script failed to load, throw an error.
+        }
+    }
+
+    throw new Error(`None of the backends work: ${backends.join(", ")}`);
+}
+
+/**
+ * Handles a message from the main thread.
+ *
+ * @param {object} message Message to handle.
+ * @returns {Promise<*>} A promise that resolves to the result to reply with.
+ */
+async function handleMessage(message) {
+    switch (message.type) {
+        case "create": {
+            const library = libraries[message.library];
+            if (library == null) {
+                throw new Error(`Unknown library: ${message.library}`);
+            }
+
+            if (message.backends != null && message.backends.join() !== selectedBackends) {
+                await selectBackend(message.backends);
+            }
+
+            // Self-hosted models are sent as artifacts, which must be turned into IOHandlers for the library to load.
+            const config = {...message.config};
+            for (const [option, artifacts] of Object.entries(message.artifacts ?? {})) {
+                config[option] = tf.io.fromMemory(artifacts);
+            }
+
+            const modelId = nextModelId++;
+            models.set(modelId, await library.createDetector(message.model, config));
+            return {modelId: modelId, backend: tf.getBackend()};
+        }
+        case "estimate": {
+            const model = models.get(message.modelId);
+
+            try {
+                if (model == null) {
+                    throw new Error(`Unknown model: ${message.modelId}`);
+                }
+
+                if (!estimateMethods.includes(message.method)) {
+                    throw new Error(`Unknown method: ${message.method}`);
+                }
+
+                return await model[message.method](message.frame, message.config);
+            } finally {
+                // The frame was transferred to us, so we are responsible for releasing it.
+                message.frame.close();
+            }
+        }
+        case "setBackend": {
+            return await selectBackend(message.backends);
+        }
+        case "dispose": {
+            models.get(message.modelId)?.dispose();
+            models.delete(message.modelId);
+            return null;
+        }
+        default: {
+            throw new Error(`Unknown message type: ${message.type}`);
+        }
+    }
+}
+
+self.onmessage = async e => {
+    try {
+        self.postMessage({id: e.data.id, result: await handleMessage(e.data)});
+    } catch (error) {
+        self.postMessage({id: e.data.id, error: error.message ?? String(error)});
+    }
+};
\ No newline at end of file
@@ -1,116 +1,122 @@
 import {Detector} from "./detector.js";
-import {Mesh} from "../mesh.js";
-import {validateDefined, validateInstanceOf} from "../utility/validation.js";
+import {FaceLandmarks} from "./face_landmarks.js";
+import {People} from "../people.js";
+import {
+    validateBoolean,
+    validateDefined,
+    validateInstanceOf,
+    validatePositiveInteger,
+    validatePositiveNumber
+} from "../utility/validation.js";
 
 /*
  * See the following link for more information about the face landmarks detection model:
  * https://github.com/tensorflow/tfjs-models/blob/master/face-landmarks-detection/README.md
  */
 export class FaceDetector extends Detector {
-    /** Desired number of frames per second. */
+    /** Default number of frames per second. */
     static fps = 30;
 
-    /** Singleton instance of the HandDetector. */
+    /** Singleton instance of the FaceDetector. */
     static instance;
 
     /**
      * Creates a new FaceDetector, or returns the existing one if it already exists.
      *
-     * @param {Mesh} mesh Mesh to update with the detected face keypoints.
+     * @param {People} people People to update with the detected face keypoints.
+     * @param {{
+     *   fps: number|undefined,
+     *   maxDetections: number|undefined,
+     *   refineLandmarks: boolean|undefined
+     * }} options Options to use. `maxDetections` defaults to the maximum number of people. `refineLandmarks` adds
+     *            Keypoints around the irises, and refines those around the eyes and lips, at the cost of speed.
      */
-    constructor(mesh) {
+    constructor(people, options = {}) {
         if (FaceDetector.instance) {
             return FaceDetector.instance;
         }
 
-        validateInstanceOf(mesh, Mesh);
+        validateInstanceOf(people, People);
+        validateDefined(options);
+
+        super(options);
+
+        this.fps = options.fps ?? FaceDetector.fps;
+        validatePositiveNumber(this.fps);
+
+        this.maxDetections = options.maxDetections ?? people.getMaximumPeople();
+        validatePositiveInteger(this.maxDetections);
+
+        this.refineLandmarks = options.refineLandmarks ?? false;
+        validateBoolean(this.refineLandmarks);
 
-        super();
         FaceDetector.instance = this;
 
-        this.mesh = mesh;
+        this.people = people;
 
-        faceLandmarksDetection.createDetector(
-            faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
-            { runtime: "tfjs" }
-        ).then(detector => {
-            this.detector = detector;
-            this.dispatchEvent(new CustomEvent("ready"));
+        this.loadModel("faceLandmarksDetection", faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh, {
+            runtime: "tfjs",
+            maxFaces: this.maxDetections,
+            refineLandmarks: this.refineLandmarks
         });
     }
 
-    /** @type RunnableInterval["start"] */
-    start() {
-        if (this.detector == null) {
-            throw new Error("Detector not initialized.");
-        }
+    /** @type Detector["estimate"] */
+    async estimate(frame) {
+        const rawFaces = await this.detector.estimateFaces(this.getModelInput(frame));
 
-        if (this.intervalId != null) {
-            throw new Error("Already running.");
+        for (const rawFace of rawFaces) {
+            for (let i = 0 ; i < rawFace.keypoints.length ; i++) {
+                this.relabelKeypoint(i, rawFace.keypoints[i]);
+            }
         }
 
-        this.dispatchEvent(new CustomEvent("started"));
-        this.intervalId = setInterval(async () => {
-            const currentTime = performance.now();
-
-            let rawFaces = [];
-            try {
-                rawFaces = await this.detector.estimateFaces(Detector.getCurrentFrame());
-            } catch (e) {
-                /*
-                 * Depending on the state of the video element, this can throw a "Requested texture size [0x0] is
-                 * invalid." error. It doesn't seem to cause any issues, so we ignore it.
-                 */
-            }
+        return rawFaces;
+    }
 
-            let rawFace = null;
-            if (rawFaces.length > 0) {
-                rawFace = rawFaces[0];
-                for (let i = 0 ; i < rawFace.keypoints.length ; i++) {
-                    this.relabelKeypoint(i, rawFace.keypoints[i]);
-                }
-            }
+    /** @type Detector["update"] */
+    update(rawFaces, frameWidth, frameHeight) {
+        this.people.updateFaces(rawFaces, frameWidth, frameHeight);
+    }
 
-            this.mesh.updateFaceKeypoints(rawFace);
+    /**
+     * Determines whether the model refines its landmarks, adding Keypoints around the irises.
+     *
+     * @returns {boolean} Whether the landmarks are refined.
+     */
+    isRefiningLandmarks() {
+        return this.refineLandmarks;
+    }
 
-            this.lastRuntime = performance.now() - currentTime;
-            this.dispatchEvent(new CustomEvent("updated", {detail: {runtime: this.lastRuntime}}));
-        }, 1000 / FaceDetector.fps);
+    /**
+     * Sets whether the model refines its landmarks, adding Keypoints around the irises, and reloads the model.
+     *
+     * @param {boolean} refineLandmarks Whether to refine the landmarks.
+     * @returns {Promise<boolean>} A promise that resolves to whether the model was created.
+     */
+    async setRefiningLandmarks(refineLandmarks) {
+        validateBoolean(refineLandmarks);
+
+        if (this.refineLandmarks === refineLandmarks) {
+            return this.isReady();
+        }
+
+        this.refineLandmarks = refineLandmarks;
+
+        const [library, model, config] = this.modelArguments;
+        this.modelArguments = [library, model, {...config, refineLandmarks: refineLandmarks}];
+        return await this.reloadModel();
     }
 
     /**
      * @type Detector['relabelKeypoint']
      *
-     * See the following link for a diagram of the face keypoints: https://github.com/tensorflow/tfjs-models/blob/master/face-landmarks-detection/mesh_map.jpg
+     * The keypoints are named by {@link FaceLandmarks}. See the following link for a diagram of the face keypoints:
+     * https://github.com/tensorflow/tfjs-models/blob/master/face-landmarks-detection/mesh_map.jpg
      */
     relabelKeypoint(index, rawKeypoint) {
         validateDefined(rawKeypoint);
 
-        let name = rawKeypoint.name;
-
-        switch (index) {
-            case 10: {
-                name = "top_edge_face";
-                break;
-            }
-            case 152: {
-                name = "bottom_edge_face";
-                break;
-            }
-            case 164: {
-                name = "midpoint_between_nose_and_mouth";
-                break;
-            }
-            case 234: {
-                name = "right_edge_face";
-                break;
-            }
-            case 454: {
-                name = "left_edge_face";
-                break;
-            }
-        }
-
-        rawKeypoint.name = name;
+        rawKeypoint.name = FaceLandmarks.getName(index);
     }
 }
\ No newline at end of file
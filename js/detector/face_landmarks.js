@@ -0,0 +1,153 @@
+import {validateNonEmptyString} from "../utility/validation.js";
+
+/**
+ * Names, and regions, of the landmarks output by the MediaPipeFaceMesh model.
+ *
+ * Regions are ordered lists of landmark indices, which trace the outline of a part of the face as a polygon, or run
+ * along it as a line in the case of the nose bridge and jawline. Sided regions are named from the person's point of
+ * view, and start with `left_` or `right_` so that their names can be swapped by the mirror mode.
+ *
+ * See the following link for a diagram of the landmarks:
+ * https://github.com/tensorflow/tfjs-models/blob/master/face-landmarks-detection/mesh_map.jpg
+ */
+export class FaceLandmarks {
+    /** Indices of the landmarks in each region, in order. The irises are only output when landmarks are refined. */
+    static regions = {
+        lips_outer: [
+            61, 146, 91, 181, 84, 17, 314, 405, 321, 375, 291, 409, 270, 269, 267, 0, 37, 39, 40, 185
+        ],
+        lips_inner: [
+            78, 95, 88, 178, 87, 14, 317, 402, 318, 324, 308, 415, 310, 311, 312, 13, 82, 81, 80, 191
+        ],
+        right_eye: [33, 7, 163, 144, 145, 153, 154, 155, 133, 173, 157, 158, 159, 160, 161, 246],
+        left_eye: [263, 249, 390, 373, 374, 380, 381, 382, 362, 398, 384, 385, 386, 387, 388, 466],
+        right_eyebrow: [70, 63, 105, 66, 107, 55, 65, 52, 53, 46],
+        left_eyebrow: [300, 293, 334, 296, 336, 285, 295, 282, 283, 276],
+        right_iris: [468, 469, 470, 471, 472],
+        left_iris: [473, 474, 475, 476, 477],
+        nose_bridge: [168, 6, 197, 195, 5, 4, 1],
+        jawline: [
+            234, 93, 132, 58, 172, 136, 150, 149, 176, 148, 152, 377, 400, 378, 379, 365, 397, 288, 361, 323, 454
+        ],
+        face_oval: [
+            10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377, 152, 148, 176, 149,
+            150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109
+        ]
+    };
+
+    /** Names of individual landmarks, by their index. These take precedence over the names given by their regions. */
+    static names = {
+        0: "upper_lip_top",
+        1: "nose_tip",
+        10: "top_edge_face",
+        13: "upper_lip_bottom",
+        14: "lower_lip_top",
+        17: "lower_lip_bottom",
+        33: "right_eye_outer_corner",
+        61: "right_mouth_corner",
+        93: "right_ear_front",
+        105: "right_eyebrow_middle",
+        132: "right_jaw_upper",
+        133: "right_eye_inner_corner",
+        137: "right_cheek_outer",
+        152: "bottom_edge_face",
+        159: "right_eye_upper_lid",
+        164: "midpoint_between_nose_and_mouth",
+        168: "midpoint_between_eyes",
+        177: "right_cheek_lower",
+        234: "right_edge_face",
+        263: "left_eye_outer_corner",
+        291: "left_mouth_corner",
+        323: "left_ear_front",
+        334: "left_eyebrow_middle",
+        361: "left_jaw_upper",
+        362: "left_eye_inner_corner",
+        366: "left_cheek_outer",
+        386: "left_eye_upper_lid",
+        401: "left_cheek_lower",
+        454: "left_edge_face",
+        468: "right_iris_centre",
+        473: "left_iris_centre"
+    };
+
+    /** Names of the landmarks in `names` and `regions`, by their index. Built on first use. */
+    static allNames = null;
+
+    /**
+     * Retrieves the names of the landmarks in `names` and `regions`, building them if necessary.
+     *
+     * @returns {Map<number, string>} Names of the landmarks, by their index.
+     */
+    static getAllNames() {
+        if (FaceLandmarks.allNames != null) {
+            return FaceLandmarks.allNames;
+        }
+
+        const allNames = new Map();
+        for (const [region, indices] of Object.entries(FaceLandmarks.regions)) {
+            indices.forEach((index, position) => {
+                if (!allNames.has(index)) {
+                    allNames.set(index, `${region}_${position}`);
+                }
+            });
+        }
+
+        for (const [index, name] of Object.entries(FaceLandmarks.names)) {
+            allNames.set(Number(index), name);
+        }
+
+        FaceLandmarks.allNames = allNames;
+        return allNames;
+    }
+
+    /**
+     * Retrieves the name of a landmark.
+     *
+     * Landmarks without a name of their own are named after the first region they appear in, and their position in
+     * it, such as `lips_outer_3`. Any others are named after their index, such as `face_200`.
+     *
+     * @param {number} index Index of the landmark.
+     * @returns {string} Name of the landmark.
+     */
+    static getName(index) {
+        return FaceLandmarks.getAllNames().get(index) ?? `face_${index}`;
+    }
+
+    /**
+     * Retrieves the index of a landmark, by its name.
+     *
+     * @param {string} name Name of the landmark.
+     * @returns {number|null} Index of the landmark, or null if no landmark has the name.
+     */
+    static getIndex(name) {
+        validateNonEmptyString(name);
+
+        for (const [index, otherName] of FaceLandmarks.getAllNames()) {
+            if (otherName === name) {
+                return index;
+            }
+        }
+
+        const match = /^face_(\d+)$/.exec(name);
+        return match == null ? null : Number(match[1]);
+    }
+
+    /**
+     * Retrieves the indices of the landmarks in a region.
+     *
+     * @param {string} region Name of the region.
+     * @throws {Error} If the region is unknown.
+     *
+     * @returns {number[]} Indices of the landmarks, in order.
+     */
+    static getRegion(region) {
+        validateNonEmptyString(region);
+
+        const indices = FaceLandmarks.regions[region];
+        if (indices == null) {
+            throw new Error(`Unknown face region: ${region}`);
+        }
+
+        return indices;
+    }
+}
\ No newline at end of file
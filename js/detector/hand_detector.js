@@ -1,81 +1,124 @@
 import {Detector} from "./detector.js";
-import {Mesh} from "../mesh.js";
-import {validateDefined, validateInstanceOf} from "../utility/validation.js";
+import {GestureRecogniser} from "../analysis/gesture_recogniser.js";
+import {People} from "../people.js";
+import {
+    validateDefined,
+    validateInstanceOf,
+    validateNumber,
+    validatePositiveInteger,
+    validatePositiveNumber
+} from "../utility/validation.js";
 
 /**
  * See the following link for more information about the hand detection model:
  * https://github.com/tensorflow/tfjs-models/tree/master/hand-pose-detection/src/tfjs
  */
 export class HandDetector extends Detector {
-    /** Desired number of frames per second. */
+    /** Default number of frames per second. */
     static fps = 10;
 
     /** Singleton instance of the HandDetector. */
     static instance;
 
+    /** Names of the models which can be used. */
+    static supportedModels = ["MediaPipeHandsFull", "MediaPipeHandsLite"];
+
     /**
      * Creates a new HandDetector, or returns the existing one if it already exists.
      *
-     * @param {Mesh} mesh Mesh to update with the detected hand keypoints.
+     * @param {People} people People to update with the detected hand keypoints.
+     * @param {{
+     *   fps: number|undefined,
+     *   gestureRecogniser: GestureRecogniser|null|undefined,
+     *   maxDetections: number|undefined,
+     *   minimumScore: number|undefined,
+     *   model: string|undefined
+     * }} options Options to use. `model` defaults to `MediaPipeHandsFull`, `maxDetections` defaults to two hands for
+     *            each person, and hands with a score below `minimumScore` are ignored. The hands are given to the
+     *            `gestureRecogniser` after each update, whose `gesture` events are re-dispatched by the HandDetector.
+     *            It defaults to a new GestureRecogniser, and gestures aren't recognised if it is null.
+     * @throws {Error} If the model is unknown.
      */
-    constructor(mesh) {
+    constructor(people, options = {}) {
         if (HandDetector.instance) {
             return HandDetector.instance;
         }
 
-        validateInstanceOf(mesh, Mesh);
+        validateInstanceOf(people, People);
+        validateDefined(options);
+
+        super(options);
+
+        this.fps = options.fps ?? HandDetector.fps;
+        validatePositiveNumber(this.fps);
+
+        this.maxDetections = options.maxDetections ?? people.getMaximumPeople() * 2;
+        validatePositiveInteger(this.maxDetections);
+
+        this.minimumScore = options.minimumScore ?? 0.5;
+        validateNumber(this.minimumScore);
+
+        this.model = options.model ?? "MediaPipeHandsFull";
+        if (!HandDetector.supportedModels.includes(this.model)) {
+            throw new Error(`Unsupported model: ${this.model}`);
+        }
+
+        this.gestureRecogniser = options.gestureRecogniser === undefined
+            ? new GestureRecogniser()
+            : options.gestureRecogniser;
+        if (this.gestureRecogniser != null) {
+            validateInstanceOf(this.gestureRecogniser, GestureRecogniser);
+
+            this.gestureRecogniser.addEventListener("gesture", e => {
+                this.dispatchEvent(new CustomEvent("gesture", {detail: e.detail}));
+            });
+        }
 
-        super();
         HandDetector.instance = this;
 
-        this.mesh = mesh;
+        this.people = people;
 
-        handPoseDetection.createDetector(
-            handPoseDetection.SupportedModels.MediaPipeHands,
-            {runtime: "tfjs"}
-        ).then(detector => {
-            this.detector = detector;
-            this.dispatchEvent(new CustomEvent("ready"));
+        this.loadModel("handPoseDetection", handPoseDetection.SupportedModels.MediaPipeHands, {
+            runtime: "tfjs",
+            maxHands: this.maxDetections,
+            modelType: this.model === "MediaPipeHandsLite" ? "lite" : "full"
         });
     }
 
-    /** @type RunnableInterval["start"] */
-    start() {
-        if (this.detector == null) {
-            throw new Error("Detector not initialized.");
-        }
+    /** @type Detector["estimate"] */
+    async estimate(frame) {
+        const rawHands = (await this.detector.estimateHands(this.getModelInput(frame))).filter(rawHand => {
+            return rawHand.score >= this.minimumScore;
+        });
 
-        if (this.intervalId != null) {
-            throw new Error("Already running.");
+        for (const rawHand of rawHands) {
+            for (const rawKeypoint of rawHand.keypoints) {
+                this.relabelKeypoint(rawHand, rawKeypoint);
+            }
         }
 
-        this.dispatchEvent(new CustomEvent("started"));
-        this.intervalId = setInterval(async () => {
-            const currentTime = performance.now();
-
-            let rawHands = [];
-            try {
-                rawHands = await this.detector.estimateHands(Detector.getCurrentFrame());
-            } catch (e) {
-                /*
-                 * Depending on the state of the video element, this can throw a "Requested texture size [0x0] is
-                 * invalid." error. It doesn't seem to cause any issues, so we ignore it.
-                 */
-            }
+        return rawHands;
+    }
 
-            if (rawHands.length > 0) {
-                for (const rawHand of rawHands) {
-                    for (const rawKeypoint of rawHand.keypoints) {
-                        this.relabelKeypoint(rawHand, rawKeypoint);
-                    }
-                }
-            }
+    /** @type Detector["update"] */
+    update(rawHands, frameWidth, frameHeight, time) {
+        this.people.updateHands(rawHands, frameWidth, frameHeight);
 
-            this.mesh.updateHandKeypoints(rawHands);
+        if (this.gestureRecogniser != null) {
+            for (const mesh of this.people.getMeshes()) {
+                // The hands are timed by when the frames were captured, rather than when they were processed.
+                this.gestureRecogniser.update(mesh, time);
+            }
+        }
+    }
 
-            this.lastRuntime = performance.now() - currentTime;
-            this.dispatchEvent(new CustomEvent("updated", {detail: {runtime: this.lastRuntime}}));
-        }, 1000 / HandDetector.fps);
+    /**
+     * Retrieves the GestureRecogniser which the hands are given to after each update.
+     *
+     * @returns {GestureRecogniser|null} The GestureRecogniser, or null if gestures aren't recognised.
+     */
+    getGestureRecogniser() {
+        return this.gestureRecogniser;
     }
 
     /**
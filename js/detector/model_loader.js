@@ -0,0 +1,70 @@
+import {validateBoolean, validateDefined, validateNonEmptyString} from "../utility/validation.js";
+
+/**
+ * Loads the artifacts (topology and weights) of TFJS graph models, caching them in IndexedDB so that later loads don't
+ * need the network.
+ *
+ * The artifacts are plain objects, so they can be sent to the detector worker, where they are turned back into a model
+ * with `tf.io.fromMemory`.
+ */
+export class ModelLoader {
+    /** Prefix of the IndexedDB keys which the artifacts are cached under. */
+    static cachePrefix = "indexeddb://jellron/";
+
+    /**
+     * Loads the artifacts of a model, from the cache if they have been cached, or from a URL otherwise.
+     *
+     * @param {string} url URL of the model's `model.json` file. The weight files must be in the same directory.
+     * @param {{
+     *   cache: boolean|undefined,
+     *   onProgress: function(number)|undefined
+     * }} options Options to use. If `cache` is true, which is the default, then the artifacts are read from and saved
+     *            to IndexedDB. `onProgress` is called with the fraction, from 0 to 1, of the artifacts that have
+     *            loaded.
+     *
+     * @returns {Promise<object>} A promise that resolves to the model's artifacts.
+     */
+    static async load(url, options = {}) {
+        validateNonEmptyString(url);
+        validateDefined(options);
+
+        const cache = options.cache ?? true;
+        validateBoolean(cache);
+
+        const onProgress = options.onProgress ?? (() => {});
+
+        if (cache) {
+            try {
+                const artifacts = await tf.io.browserIndexedDB(ModelLoader.cachePrefix + url).load();
+                onProgress(1);
+                return artifacts;
+            } catch (e) {
+                // The model has not been cached yet.
+            }
+        }
+
+        const artifacts = await tf.io.browserHTTPRequest(url, {onProgress: onProgress}).load();
+        onProgress(1);
+
+        if (cache) {
+            try {
+                await tf.io.browserIndexedDB(ModelLoader.cachePrefix + url).save(artifacts);
+            } catch (e) {
+                // The model still works without the cache, such as when the storage quota is exceeded.
+            }
+        }
+
+        return artifacts;
+    }
+
+    /**
+     * Removes a model from the cache.
+     *
+     * @param {string} url URL of the model's `model.json` file.
+     * @returns {Promise<void>} A promise that resolves when the model has been removed.
+     */
+    static async removeFromCache(url) {
+        validateNonEmptyString(url);
+        await tf.io.removeModel(ModelLoader.cachePrefix + url);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,182 @@
+import {Detector} from "./detector.js";
+import {StatRecorder} from "../utility/stat_recorder.js";
+import {validateInstanceOf, validatePositiveNumber} from "../utility/validation.js";
+
+/**
+ * Adapts the fps of each Detector to the device, based on how long each Detector takes to process a frame.
+ *
+ * The Detectors share a budget of milliseconds, per second, which they may spend processing frames. The budget is
+ * divided between them by their priorities, and each Detector's fps is set to as many frames as its share of the
+ * budget allows. Any budget left over by a Detector which reaches the maximum fps is given to the others.
+ *
+ * Events:
+ * - `rateChanged` - `{detector: Detector, fps: number}` The fps of a Detector was changed.
+ */
+export class RateController extends EventTarget {
+    /** Number of runtimes to average, for each Detector. */
+    static maximumEntries = 30;
+
+    /**
+     * Creates a new RateController.
+     *
+     * @param {{
+     *   budget: number|undefined,
+     *   maximumFps: number|undefined,
+     *   minimumFps: number|undefined,
+     *   updateInterval: number|undefined
+     * }} options Options to use. `budget` is the number of milliseconds, per second, that all the Detectors may spend
+     *            processing frames, and defaults to 500. The fps of each Detector is kept between `minimumFps` and
+     *            `maximumFps`, which default to 1 and 30. `minimumFps` must be at least 0.1. The fps are recalculated
+     *            every `updateInterval` milliseconds, which defaults to 1000.
+     * @throws {Error} If `minimumFps` is less than 0.1, or greater than `maximumFps`.
+     */
+    constructor(options = {}) {
+        super();
+
+        this.budget = options.budget ?? 500;
+        validatePositiveNumber(this.budget);
+
+        this.maximumFps = options.maximumFps ?? 30;
+        validatePositiveNumber(this.maximumFps);
+
+        this.minimumFps = options.minimumFps ?? 1;
+        validatePositiveNumber(this.minimumFps);
+
+        // The fps are rounded to one decimal place, so any lower minimum would be rounded to 0.
+        if (this.minimumFps < 0.1) {
+            throw new Error("The minimum fps cannot be less than 0.1.");
+        }
+
+        if (this.minimumFps > this.maximumFps) {
+            throw new Error("The minimum fps cannot be greater than the maximum fps.");
+        }
+
+        this.updateInterval = options.updateInterval ?? 1000;
+        validatePositiveNumber(this.updateInterval);
+
+        this.entries = new Map();
+        this.lastUpdateTime = 0;
+    }
+
+    /**
+     * Adds a Detector, whose fps should be adapted.
+     *
+     * @param {Detector} detector Detector to add.
+     * @param {number} priority Priority of the Detector. A Detector with twice the priority of another is given twice
+     *                          as much of the budget.
+     */
+    addDetector(detector, priority = 1) {
+        validateInstanceOf(detector, Detector);
+        validatePositiveNumber(priority);
+
+        if (this.entries.has(detector)) {
+            this.entries.get(detector).priority = priority;
+            return;
+        }
+
+        const entry = {
+            originalFps: detector.getFps(),
+            priority: priority,
+            runtimes: new StatRecorder(RateController.maximumEntries),
+            onUpdated: e => {
+                entry.runtimes.record(e.detail.runtime);
+                this.updateIfDue();
+            }
+        };
+
+        detector.addEventListener("updated", entry.onUpdated);
+        this.entries.set(detector, entry);
+    }
+
+    /**
+     * Removes a Detector, and restores the fps that it had when it was added.
+     *
+     * @param {Detector} detector Detector to remove.
+     */
+    removeDetector(detector) {
+        const entry = this.entries.get(detector);
+        if (entry == null) {
+            return;
+        }
+
+        detector.removeEventListener("updated", entry.onUpdated);
+        this.entries.delete(detector);
+        this.setFps(detector, entry.originalFps);
+    }
+
+    /** Recalculates the fps of each Detector, if the update interval has elapsed since they were last calculated. */
+    updateIfDue() {
+        const currentTime = performance.now();
+        if (currentTime - this.lastUpdateTime < this.updateInterval) {
+            return;
+        }
+
+        this.lastUpdateTime = currentTime;
+        this.update();
+    }
+
+    /** Recalculates the fps of each Detector, based on their average runtimes. */
+    update() {
+        // Detectors which have not yet run cannot be measured, so they keep their current fps.
+        let remaining = [...this.entries].filter(([detector, entry]) => entry.runtimes.getCount() > 0);
+        let remainingBudget = this.budget;
+
+        /*
+         * Each Detector's share of the budget is calculated by its priority. If a share would let a Detector exceed the
+         * maximum fps, then it is capped, and the rest of its share is divided between the remaining Detectors.
+         */
+        while (remaining.length > 0) {
+            const totalPriority = remaining.reduce((sum, [detector, entry]) => sum + entry.priority, 0);
+
+            const capped = remaining.filter(([detector, entry]) => {
+                const share = remainingBudget * entry.priority / totalPriority;
+                return share / entry.runtimes.getAverage() >= this.maximumFps;
+            });
+
+            if (capped.length === 0) {
+                for (const [detector, entry] of remaining) {
+                    const share = remainingBudget * entry.priority / totalPriority;
+                    this.setFps(detector, Math.max(this.minimumFps, share / entry.runtimes.getAverage()));
+                }
+                break;
+            }
+
+            for (const [detector, entry] of capped) {
+                remainingBudget -= this.maximumFps * entry.runtimes.getAverage();
+                this.setFps(detector, this.maximumFps);
+            }
+
+            remaining = remaining.filter(pair => !capped.includes(pair));
+        }
+    }
+
+    /**
+     * Sets the fps of a Detector, and dispatches a `rateChanged` event if it changed noticeably.
+     *
+     * The fps is rounded to one decimal place, so that small variations in the runtimes don't cause constant changes.
+     *
+     * @param {Detector} detector Detector to update.
+     * @param {number} fps New fps.
+     */
+    setFps(detector, fps) {
+        fps = Math.round(fps * 10) / 10;
+
+        if (fps === detector.getFps()) {
+            return;
+        }
+
+        detector.setFps(fps);
+        this.dispatchEvent(new CustomEvent("rateChanged", {detail: {detector: detector, fps: fps}}));
+    }
+
+    /**
+     * Sets the budget which the Detectors share.
+     *
+     * @param {number} budget Number of milliseconds, per second, that all the Detectors may spend processing frames.
+     */
+    setBudget(budget) {
+        validatePositiveNumber(budget);
+        this.budget = budget;
+        this.update();
+    }
+}
\ No newline at end of file
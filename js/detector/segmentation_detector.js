@@ -0,0 +1,197 @@
+import {Detector} from "./detector.js";
+import {validateDefined, validateNonEmptyString, validatePositiveNumber} from "../utility/validation.js";
+
+/**
+ * Segments each frame into masks of the people in it, and of their hair, so that assets can be hidden behind them.
+ *
+ * None of the TFJS models can tell hair apart from the rest of a person, so this Detector uses the MediaPipe multiclass
+ * selfie segmentation model instead, which is run by the MediaPipe Tasks library. As that library can't be loaded into
+ * the detector worker, the model always runs on the main thread, and it uses its own GPU or CPU delegate rather than
+ * the TFJS backend.
+ *
+ * The masks are the size of the frame, and, like the frame, are not mirrored.
+ *
+ * See the following link for more information about the image segmentation models:
+ * https://ai.google.dev/edge/mediapipe/solutions/vision/image_segmenter
+ */
+export class SegmentationDetector extends Detector {
+    /** Default number of frames per second. */
+    static fps = 15;
+
+    /** Singleton instance of the SegmentationDetector. */
+    static instance;
+
+    /** Categories of the pixels in the category mask, by their value. */
+    static categories = ["background", "hair", "body_skin", "face_skin", "clothes", "others"];
+
+    /** Names of the delegates which the model can be run on. */
+    static supportedDelegates = ["CPU", "GPU"];
+
+    /** Default URL of the model. */
+    static modelUrl = "https://storage.googleapis.com/mediapipe-models/image_segmenter/selfie_multiclass_256x256/" +
+        "float32/1/selfie_multiclass_256x256.tflite";
+
+    /**
+     * URL of the directory containing the WASM files of the MediaPipe Tasks library. Its version must match the version
+     * of the library in the page's import map.
+     */
+    static wasmPath = "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.21/wasm";
+
+    /**
+     * Creates a new SegmentationDetector, or returns the existing one if it already exists.
+     *
+     * @param {{
+     *   delegate: string|undefined,
+     *   fps: number|undefined,
+     *   modelUrl: string|undefined
+     * }} options Options to use. `delegate` is either `GPU`, which is the default, or `CPU`. `modelUrl` is the URL of a
+     *            self-hosted copy of the model. The `useWorker`, `modelUrls`, and `cacheModels` options of the other
+     *            Detectors are not supported.
+     * @throws {Error} If the delegate is unknown.
+     */
+    constructor(options = {}) {
+        if (SegmentationDetector.instance) {
+            return SegmentationDetector.instance;
+        }
+
+        validateDefined(options);
+
+        super({...options, modelUrls: {}, useWorker: false});
+
+        this.fps = options.fps ?? SegmentationDetector.fps;
+        validatePositiveNumber(this.fps);
+
+        this.delegate = options.delegate ?? "GPU";
+        if (!SegmentationDetector.supportedDelegates.includes(this.delegate)) {
+            throw new Error(`Unsupported delegate: ${this.delegate}`);
+        }
+
+        this.modelUrl = options.modelUrl ?? SegmentationDetector.modelUrl;
+        validateNonEmptyString(this.modelUrl);
+
+        this.mask = null;
+
+        SegmentationDetector.instance = this;
+
+        this.loadModel("tasksVision", "ImageSegmenter", {
+            baseOptions: {modelAssetPath: this.modelUrl, delegate: this.delegate},
+            runningMode: "IMAGE",
+            outputCategoryMask: true,
+            outputConfidenceMasks: false
+        });
+    }
+
+    /**
+     * @type Detector["createModel"]
+     *
+     * The model is wrapped so that it can be disposed, and report its backend, in the same way as the TFJS models.
+     *
+     * The MediaPipe Tasks library is only imported here, so that pages which don't segment their frames don't need it
+     * in their import map.
+     */
+    async createModel(library, model, config, artifacts = {}) {
+        const {FilesetResolver, ImageSegmenter} = await import("@mediapipe/tasks-vision");
+
+        const fileset = await FilesetResolver.forVisionTasks(SegmentationDetector.wasmPath);
+        const segmenter = await ImageSegmenter.createFromOptions(fileset, config);
+
+        return {
+            dispose: () => segmenter.close(),
+            getBackend: () => `mediapipe-${this.delegate.toLowerCase()}`,
+            segment: image => segmenter.segment(image)
+        };
+    }
+
+    /** @type Detector["estimate"] */
+    async estimate(frame) {
+        // The model is taken away when it is reloaded, which may happen while the bitmap is being created.
+        const segmenter = this.detector;
+        const bitmap = await frame.getImageBitmap();
+
+        let result;
+        try {
+            result = segmenter.segment(bitmap);
+        } finally {
+            bitmap.close();
+        }
+
+        try {
+            // The mask belongs to the result, so it is copied before the result is closed.
+            const categoryMask = result.categoryMask;
+            return [{
+                categories: categoryMask.getAsUint8Array().slice(),
+                height: categoryMask.height,
+                width: categoryMask.width
+            }];
+        } finally {
+            result.close();
+        }
+    }
+
+    /** @type Detector["update"] */
+    update(rawMasks) {
+        this.mask = rawMasks[0] ?? null;
+    }
+
+    /**
+     * Retrieves the category of each pixel in the last frame. See {@link SegmentationDetector.categories}.
+     *
+     * @returns {{width: number, height: number, categories: Uint8Array}|null} The category mask, or null if no frame
+     *                                                                         has been segmented yet.
+     */
+    getCategoryMask() {
+        return this.mask;
+    }
+
+    /**
+     * Retrieves a mask of the pixels in the last frame which belong to any of a set of categories.
+     *
+     * @param {string[]} categories Names of the categories to include.
+     * @throws {Error} If a category is unknown.
+     *
+     * @returns {{width: number, height: number, data: Uint8Array}|null} The mask, with a value of 255 for each included
+     *                                                                   pixel and 0 for the rest, or null if no frame
+     *                                                                   has been segmented yet.
+     */
+    getMask(categories) {
+        validateDefined(categories);
+
+        const values = categories.map(category => {
+            const value = SegmentationDetector.categories.indexOf(category);
+            if (value === -1) {
+                throw new Error(`Unsupported category: ${category}`);
+            }
+
+            return value;
+        });
+
+        if (this.mask == null) {
+            return null;
+        }
+
+        const data = new Uint8Array(this.mask.categories.length);
+        for (let i = 0 ; i < data.length ; i++) {
+            data[i] = values.includes(this.mask.categories[i]) ? 255 : 0;
+        }
+
+        return {width: this.mask.width, height: this.mask.height, data: data};
+    }
+
+    /**
+     * Retrieves a mask of the hair in the last frame.
+     *
+     * @returns {{width: number, height: number, data: Uint8Array}|null} The mask. See {@link getMask}.
+     */
+    getHairMask() {
+        return this.getMask(["hair"]);
+    }
+
+    /**
+     * Retrieves a mask of the people in the last frame, including their hair and clothes.
+     *
+     * @returns {{width: number, height: number, data: Uint8Array}|null} The mask. See {@link getMask}.
+     */
+    getPersonMask() {
+        return this.getMask(SegmentationDetector.categories.filter(category => category !== "background"));
+    }
+}
\ No newline at end of file
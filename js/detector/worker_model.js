@@ -0,0 +1,210 @@
+import {Frame} from "../frame.js";
+import {validateDefined, validateInstanceOf, validateNonEmptyString} from "../utility/validation.js";
+
+/**
+ * Stands in for a TFJS model which is hosted by the detector worker, so that a Detector can use it in the same way as
+ * a model on the main thread.
+ *
+ * All WorkerModels share a single worker, so that they also share its TFJS backend.
+ */
+export class WorkerModel {
+    /** Worker which hosts the models. */
+    static worker = null;
+
+    /** Order in which the worker should try the TFJS backends, or null to use the default backend. */
+    static backends = null;
+
+    /** ID to give to the next request sent to the worker. */
+    static nextRequestId = 0;
+
+    /** Callbacks of the requests which the worker has not yet replied to, by their ID. */
+    static pendingRequests = new Map();
+
+    /**
+     * Creates a new WorkerModel. Use {@link WorkerModel.create} to create the model in the worker.
+     *
+     * @param {number} modelId ID of the model in the worker.
+     * @param {string} backend Name of the TFJS backend which the model runs on.
+     */
+    constructor(modelId, backend) {
+        validateDefined(modelId);
+        validateNonEmptyString(backend);
+
+        this.backend = backend;
+        this.modelId = modelId;
+    }
+
+    /**
+     * Creates a model in the worker.
+     *
+     * @param {string} library Name of the global of the TFJS library to create the model with, such as `poseDetection`.
+     * @param {string} model Name of the model to create, such as `MoveNet`.
+     * @param {object} config Configuration of the model.
+     * @param {Object<string, object>} artifacts Artifacts of self-hosted models, by the URL option they replace, such
+     *                                          as `modelUrl`. They are turned into IOHandlers in the worker, as
+     *                                          IOHandlers cannot be sent to it.
+     * @throws {Error} If the worker fails to create the model.
+     *
+     * @returns {Promise<WorkerModel>} A promise that resolves to the model.
+     */
+    static async create(library, model, config, artifacts = {}) {
+        validateNonEmptyString(library);
+        validateNonEmptyString(model);
+
+        const result = await WorkerModel.sendRequest({
+            type: "create",
+            artifacts: artifacts,
+            backends: WorkerModel.backends,
+            library: library,
+            model: model,
+            config: config
+        });
+        return new WorkerModel(result.modelId, result.backend);
+    }
+
+    /**
+     * Sets the order in which the worker should try the TFJS backends.
+     *
+     * If the worker is already running, then it switches backend immediately. Its existing models must be recreated,
+     * as they were loaded on the previous backend.
+     *
+     * @param {string[]} backends Names of the backends, in order of preference.
+     * @throws {Error} If the worker cannot use any of the backends.
+     *
+     * @returns {Promise<string|null>} A promise that resolves to the name of the backend the worker is using, or null
+     *                                 if the worker is not running.
+     */
+    static async setBackends(backends) {
+        validateDefined(backends);
+        WorkerModel.backends = backends;
+
+        if (WorkerModel.worker == null) {
+            return null;
+        }
+
+        return await WorkerModel.sendRequest({type: "setBackend", backends: backends});
+    }
+
+    /**
+     * Retrieves the worker which hosts the models, creating it if necessary.
+     *
+     * @returns {Worker} The worker.
+     */
+    static getWorker() {
+        if (WorkerModel.worker != null) {
+            return WorkerModel.worker;
+        }
+
+        const worker = WorkerModel.worker = new Worker(new URL("./detector_worker.js", import.meta.url));
+        worker.onmessage = e => {
+            const request = WorkerModel.pendingRequests.get(e.data.id);
+            WorkerModel.pendingRequests.delete(e.data.id);
+
+            if (e.data.error != null) {
+                request?.reject(new Error(e.data.error));
+            } else {
+                request?.resolve(e.data.result);
+            }
+        };
+        worker.onerror = e => {
+            // The worker failed to load, so none of the pending requests will ever be replied to.
+            for (const request of WorkerModel.pendingRequests.values()) {
+                request.reject(new Error("The detector worker failed: " + e.message));
+            }
+            WorkerModel.pendingRequests.clear();
+        };
+
+        return worker;
+    }
+
+    /**
+     * Sends a request to the worker.
+     *
+     * @param {object} message Message to send.
+     * @param {Transferable[]} transfer Objects to transfer to the worker, rather than copy.
+     *
+     * @returns {Promise<*>} A promise that resolves to the worker's reply.
+     */
+    static sendRequest(message, transfer = []) {
+        const worker = WorkerModel.getWorker();
+
+        return new Promise((resolve, reject) => {
+            const id = WorkerModel.nextRequestId++;
+            WorkerModel.pendingRequests.set(id, {reject: reject, resolve: resolve});
+            worker.postMessage({...message, id: id}, transfer);
+        });
+    }
+
+    /**
+     * Runs inference on a frame in the worker.
+     *
+     * @param {string} method Name of the method to call on the model.
+     * @param {Frame} frame Frame to process.
+     * @param {object|undefined} config Configuration of the estimation.
+     *
+     * @returns {Promise<Object[]>} A promise that resolves to the results of the model.
+     */
+    async estimate(method, frame, config) {
+        validateInstanceOf(frame, Frame);
+
+        const bitmap = await frame.getImageBitmap();
+
+        return await WorkerModel.sendRequest({
+            type: "estimate",
+            config: config,
+            frame: bitmap,
+            method: method,
+            modelId: this.modelId
+        }, [bitmap]);
+    }
+
+    /**
+     * Runs face landmarks detection on a frame in the worker.
+     *
+     * @param {Frame} frame Frame to process.
+     * @param {object|undefined} config Configuration of the estimation.
+     *
+     * @returns {Promise<Object[]>} A promise that resolves to the detected faces.
+     */
+    async estimateFaces(frame, config) {
+        return await this.estimate("estimateFaces", frame, config);
+    }
+
+    /**
+     * Runs hand pose detection on a frame in the worker.
+     *
+     * @param {Frame} frame Frame to process.
+     * @param {object|undefined} config Configuration of the estimation.
+     *
+     * @returns {Promise<Object[]>} A promise that resolves to the detected hands.
+     */
+    async estimateHands(frame, config) {
+        return await this.estimate("estimateHands", frame, config);
+    }
+
+    /**
+     * Runs pose detection on a frame in the worker.
+     *
+     * @param {Frame} frame Frame to process.
+     * @param {object|undefined} config Configuration of the estimation.
+     *
+     * @returns {Promise<Object[]>} A promise that resolves to the detected bodies.
+     */
+    async estimatePoses(frame, config) {
+        return await this.estimate("estimatePoses", frame, config);
+    }
+
+    /**
+     * Retrieves the name of the TFJS backend which the model runs on.
+     *
+     * @returns {string} Name of the backend.
+     */
+    getBackend() {
+        return this.backend;
+    }
+
+    /** Releases the model in the worker. */
+    dispose() {
+        WorkerModel.sendRequest({type: "dispose", modelId: this.modelId}).catch(() => {});
+    }
+}
\ No newline at end of file
@@ -0,0 +1,134 @@
+import {validateBoolean, validateInstanceOf} from "./utility/validation.js";
+
+/**
+ * A single frame of video, shared by every Detector which processes it.
+ *
+ * The frame is reference-counted, so that it is only disposed once every Detector has finished with it. Whoever
+ * creates a Frame holds the first reference, and each user must call `retain()` before using it and `release()` once
+ * they are done.
+ */
+export class Frame {
+    /**
+     * Captures a new Frame from a canvas.
+     *
+     * @param {HTMLCanvasElement} canvas Canvas to capture.
+     * @param {boolean} mirrored Whether the canvas is flipped horizontally. If so, the frame is flipped back, as the
+     *                           models must see the unflipped video.
+     */
+    constructor(canvas, mirrored = false) {
+        validateInstanceOf(canvas, HTMLCanvasElement);
+        validateBoolean(mirrored);
+
+        this.height = canvas.height;
+        this.time = performance.now();
+        this.width = canvas.width;
+
+        this.imageData = null;
+        this.referenceCount = 1;
+
+        // The canvas is captured immediately, as it will have been redrawn by the time that the frame is processed.
+        this.tensor = tf.tidy(() => {
+            const frame = tf.browser.fromPixels(canvas);
+            return mirrored ? tf.reverse(frame, 1) : frame;
+        });
+    }
+
+    /**
+     * Adds a reference to the Frame, preventing it from being disposed until that reference is released.
+     *
+     * @throws {Error} If the Frame has already been disposed.
+     *
+     * @returns {Frame} This Frame.
+     */
+    retain() {
+        if (this.referenceCount === 0) {
+            throw new Error("The frame has already been disposed.");
+        }
+
+        this.referenceCount++;
+        return this;
+    }
+
+    /** Releases a reference to the Frame, disposing it if no references remain. */
+    release() {
+        if (this.referenceCount === 0) {
+            return;
+        }
+
+        this.referenceCount--;
+
+        if (this.referenceCount === 0) {
+            this.tensor.dispose();
+            this.tensor = null;
+            this.imageData = null;
+        }
+    }
+
+    /**
+     * Determines whether the Frame has been disposed.
+     *
+     * @returns {boolean} Whether the Frame has been disposed.
+     */
+    isDisposed() {
+        return this.referenceCount === 0;
+    }
+
+    /**
+     * Retrieves the height of the Frame.
+     *
+     * @returns {number} Height, in pixels.
+     */
+    getHeight() {
+        return this.height;
+    }
+
+    /**
+     * Creates a new ImageBitmap of the Frame, which can be transferred to a worker.
+     *
+     * A new ImageBitmap is created for each call, as transferring an ImageBitmap detaches it from the main thread. The
+     * caller is responsible for closing it.
+     *
+     * @throws {Error} If the Frame has been disposed.
+     *
+     * @returns {Promise<ImageBitmap>} A promise that resolves to the ImageBitmap.
+     */
+    async getImageBitmap() {
+        const tensor = this.getTensor();
+
+        this.imageData ??= tf.browser.toPixels(tensor).then(pixels => new ImageData(pixels, this.width, this.height));
+        return await createImageBitmap(await this.imageData);
+    }
+
+    /**
+     * Retrieves the Frame as a tensor.
+     *
+     * @throws {Error} If the Frame has been disposed.
+     *
+     * @returns {Tensor} The tensor, with a shape of `[height, width, 3]`.
+     */
+    getTensor() {
+        if (this.tensor == null) {
+            throw new Error("The frame has already been disposed.");
+        }
+
+        return this.tensor;
+    }
+
+    /**
+     * Retrieves the time at which the Frame was captured.
+     *
+     * @returns {number} Time, in milliseconds, on the same clock as `performance.now()`.
+     */
+    getTime() {
+        return this.time;
+    }
+
+    /**
+     * Retrieves the width of the Frame.
+     *
+     * @returns {number} Width, in pixels.
+     */
+    getWidth() {
+        return this.width;
+    }
+}
\ No newline at end of file
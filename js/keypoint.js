@@ -186,6 +186,18 @@ export class Keypoint {
         );
     }
 
+    /**
+     * Removes the Keypoint from the scene that it is in, and frees the resources used to display it.
+     *
+     * The Keypoint should not be used after it has been disposed.
+     */
+    dispose() {
+        this.mesh.removeFromParent();
+        this.mesh.geometry.dispose();
+        this.mesh.material.map?.dispose();
+        this.mesh.material.dispose();
+    }
+
     /**
      * Translate the Keypoint's position on all axes.
      *
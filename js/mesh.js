@@ -1,5 +1,9 @@
+import {Gaze} from "./analysis/gaze.js";
+import {HeadPose} from "./analysis/head_pose.js";
+import {FaceLandmarks} from "./detector/face_landmarks.js";
 import {Keypoint} from "./keypoint.js";
-import {validateNonEmptyString} from "./utility/validation.js";
+import {MirrorMode} from "./mirror_mode.js";
+import {validateInstanceOf, validateNonEmptyString} from "./utility/validation.js";
 
 export class Mesh {
     /** @type {string} Default colour to use when displaying body Keypoints. */
@@ -17,11 +21,25 @@ export class Mesh {
     /** @type {string} Default colour to use when displaying hand Keypoints. */
     static defaultHandKeypointColour = "orange";
 
+    /** @type {string[]} Handedness of each hand, as written into the labels of the hand Keypoints. */
+    static handednesses = ["left", "right"];
+
     /** @type {string} Default colour to use when displaying necklace Keypoints. */
     static defaultNecklaceKeypointColour = "red";
 
-    /** Creates a new Mesh object. */
-    constructor() {
+    /** @type {number} Yaw, in degrees, beyond which the earlobe on the far side of the head is hidden. */
+    static earlobeOcclusionYaw = 25;
+
+    /**
+     * Creates a new Mesh object.
+     *
+     * @param {MirrorMode} mirrorMode Mirror mode to apply to the Keypoints, as they are updated.
+     */
+    constructor(mirrorMode = new MirrorMode()) {
+        validateInstanceOf(mirrorMode, MirrorMode);
+
+        this.mirrorMode = mirrorMode;
+
         this.bodyKeypoints = [];
         this.chokerKeypoint = new Keypoint(0, 0, 0, 0, "choker");
         this.earlobeKeypoints = [
@@ -29,7 +47,8 @@ export class Mesh {
             new Keypoint(0, 0, 0, 0, "right_earlobe")
         ]
         this.faceKeypoints = [];
-        this.handKeypoints = [];
+        this.handConfidences = {left: 0, right: 0};
+        this.handKeypoints = {left: [], right: []};
         this.necklaceKeypoint = new Keypoint(0, 0, 0, 0, "necklace");
     }
 
@@ -61,19 +80,27 @@ export class Mesh {
             return;
         }
 
-        if (this.faceKeypoints.length === 0) {
-            // As far as I can tell, the array of face Keypoints is always the same length, so we can initialise it here.
-            for (let i = 0 ; i < rawFace.keypoints.length; i++) {
-                const keypoint = new Keypoint(0, 0, 0, 0, "");
-                keypoint.setColour(Mesh.defaultFaceKeypointColour);
-                keypoint.setSize(3);
-                this.faceKeypoints.push(keypoint);
-            }
+        /*
+         * The array of face Keypoints is always the same length for a given model configuration, so we can initialise
+         * it here. It is only resized when the FaceDetector starts or stops refining its landmarks, which adds or
+         * removes the iris Keypoints at the end of the array. The array is resized in place, and the removed Keypoints
+         * are disposed of, so that they aren't left behind in the renderer's scene.
+         */
+        for (const keypoint of this.faceKeypoints.splice(rawFace.keypoints.length)) {
+            keypoint.dispose();
+        }
+
+        while (this.faceKeypoints.length < rawFace.keypoints.length) {
+            const keypoint = new Keypoint(0, 0, 0, 0, "");
+            keypoint.setColour(Mesh.defaultFaceKeypointColour);
+            keypoint.setSize(3);
+            this.faceKeypoints.push(keypoint);
         }
 
         for (let i = 0 ; i < rawFace.keypoints.length; i++) {
             const keypoint = this.faceKeypoints[i];
             keypoint.copyRawKeypoint(rawFace.keypoints[i]);
+            this.mirrorMode.mirrorKeypoint(keypoint);
         }
     }
 
@@ -112,10 +139,15 @@ export class Mesh {
         for (let i = 0 ; i < rawBody.keypoints.length; i++) {
             const keypoint = this.bodyKeypoints[i];
             keypoint.copyRawKeypoint(rawBody.keypoints[i]);
+            this.mirrorMode.mirrorKeypoint(keypoint);
         }
     }
 
     /**
+     * Updates the hand Keypoints.
+     *
+     * Each hand is stored in a separate set of Keypoints, keyed by the handedness in the labels of its Keypoints after
+     * mirroring. If more than one hand of the same handedness is detected, then the one with the highest score is used.
      *
      * @param {Object[{
      *     score: number,
@@ -134,29 +166,49 @@ export class Mesh {
      * }]} rawHands
      */
     updateHandKeypoints(rawHands) {
-        if (rawHands == null || rawHands.length === 0) {
-            for (const keypoint of this.handKeypoints) {
-                keypoint.setConfidence(0);
+        const rawHandsByHandedness = {};
+        for (const rawHand of rawHands ?? []) {
+            if (rawHand.keypoints == null || rawHand.keypoints.length === 0) {
+                continue;
+            }
+
+            const handedness = this.mirrorMode.mirrorLabel(rawHand.keypoints[0].name).split("_")[0];
+            if ((rawHandsByHandedness[handedness]?.score ?? -1) < rawHand.score) {
+                rawHandsByHandedness[handedness] = rawHand;
             }
-            return;
         }
 
-        if (this.handKeypoints.length === 0) {
-            // As far as I can tell, the array of hand Keypoints is always the same length, so we can initialise it here.
-            for (const rawHand of rawHands) {
+        for (const handedness of Mesh.handednesses) {
+            const keypoints = this.handKeypoints[handedness];
+            const rawHand = rawHandsByHandedness[handedness];
+
+            if (rawHand == null) {
+                this.handConfidences[handedness] = 0;
+                for (const keypoint of keypoints) {
+                    keypoint.setConfidence(0);
+                }
+                continue;
+            }
+
+            if (keypoints.length === 0) {
+                // As far as I can tell, the array of hand Keypoints is always the same length, so we can initialise it here.
                 for (let i = 0; i < rawHand.keypoints.length; i++) {
                     const keypoint = new Keypoint(0, 0, 0, 0, "");
                     keypoint.setColour(Mesh.defaultHandKeypointColour);
-                    this.handKeypoints.push(keypoint);
+                    keypoints.push(keypoint);
                 }
             }
-        }
 
-        for (const rawHand of rawHands) {
             for (let i = 0; i < rawHand.keypoints.length; i++) {
-                const keypoint = this.handKeypoints[i];
+                const keypoint = keypoints[i];
                 keypoint.copyRawKeypoint(rawHand.keypoints[i]);
+
+                // The hand Keypoints have no score of their own, so they are as confident as the hand.
+                keypoint.setConfidence(rawHand.score ?? 1);
+                this.mirrorMode.mirrorKeypoint(keypoint);
             }
+
+            this.handConfidences[handedness] = rawHand.score ?? 1;
         }
     }
 
@@ -194,6 +246,12 @@ export class Mesh {
             }
         }
 
+        for (const keypoint of this.getHandKeypoints()) {
+            if (keypoint.getLabel() === label) {
+                return keypoint;
+            }
+        }
+
         return null;
     }
 
@@ -248,83 +306,78 @@ export class Mesh {
         this.earlobeKeypoints[0].setConfidence(0);
         this.earlobeKeypoints[1].setConfidence(0);
 
-        const leftEar = this.getKeypointByLabel("left_ear");
+        /*
+         * The calculations below are performed on the user's anatomical left and right sides, so we look up each
+         * Keypoint by the label it had before any swapping was performed by the mirror mode. As the positions may have
+         * been flipped horizontally, the direction of all horizontal offsets depends on the mirror mode.
+         */
+        const direction = this.mirrorMode.isEnabled() ? -1 : 1;
+        const [leftEarlobe, rightEarlobe] = this.mirrorMode.isSwappingLabels()
+            ? [this.earlobeKeypoints[1], this.earlobeKeypoints[0]]
+            : this.earlobeKeypoints;
+
+        const leftEar = this.getKeypointByLabel(this.mirrorMode.mirrorLabel("left_ear"));
         if (leftEar == null) {
             return this.earlobeKeypoints;
         }
 
-        const rightEar = this.getKeypointByLabel("right_ear");
+        const rightEar = this.getKeypointByLabel(this.mirrorMode.mirrorLabel("right_ear"));
         if (rightEar == null) {
             return this.earlobeKeypoints;
         }
 
-        const leftEdgeFace = this.getKeypointByLabel("left_edge_face");
-        if (leftEdgeFace == null) {
-            return this.earlobeKeypoints;
-        }
-
-        const rightEdgeFace = this.getKeypointByLabel("right_edge_face");
-        if (rightEdgeFace == null) {
-            return this.earlobeKeypoints;
-        }
-
-        const topEdgeFace = this.getKeypointByLabel("top_edge_face");
-        if (topEdgeFace == null) {
+        const headPose = this.getHeadPose();
+        if (headPose.getConfidence() === 0) {
             return this.earlobeKeypoints;
         }
 
-        const bottomEdgeFace = this.getKeypointByLabel("bottom_edge_face");
-        if (bottomEdgeFace == null) {
-            return this.earlobeKeypoints;
-        }
-
-        const leftShoulder = this.getKeypointByLabel("left_shoulder");
+        const leftShoulder = this.getKeypointByLabel(this.mirrorMode.mirrorLabel("left_shoulder"));
         if (leftShoulder == null) {
             return this.earlobeKeypoints;
         }
 
-        const rightShoulder = this.getKeypointByLabel("right_shoulder");
+        const rightShoulder = this.getKeypointByLabel(this.mirrorMode.mirrorLabel("right_shoulder"));
         if (rightShoulder == null) {
             return this.earlobeKeypoints;
         }
 
-        const k93 = this.faceKeypoints?.[93];
-        if (k93 == null) {
+        const rightEarFront = this.getKeypointByLabel(this.mirrorMode.mirrorLabel("right_ear_front"));
+        if (rightEarFront == null) {
             return this.earlobeKeypoints;
         }
 
-        const k132 = this.faceKeypoints?.[132];
-        if (k132 == null) {
+        const rightJawUpper = this.getKeypointByLabel(this.mirrorMode.mirrorLabel("right_jaw_upper"));
+        if (rightJawUpper == null) {
             return this.earlobeKeypoints;
         }
 
-        const k137 = this.faceKeypoints?.[137];
-        if (k137 == null) {
+        const rightCheekOuter = this.getKeypointByLabel(this.mirrorMode.mirrorLabel("right_cheek_outer"));
+        if (rightCheekOuter == null) {
             return this.earlobeKeypoints;
         }
 
-        const k177 = this.faceKeypoints?.[177];
-        if (k177 == null) {
+        const rightCheekLower = this.getKeypointByLabel(this.mirrorMode.mirrorLabel("right_cheek_lower"));
+        if (rightCheekLower == null) {
             return this.earlobeKeypoints;
         }
 
-        const k323 = this.faceKeypoints?.[323];
-        if (k323 == null) {
+        const leftEarFront = this.getKeypointByLabel(this.mirrorMode.mirrorLabel("left_ear_front"));
+        if (leftEarFront == null) {
             return this.earlobeKeypoints;
         }
 
-        const k361 = this.faceKeypoints?.[361];
-        if (k361 == null) {
+        const leftJawUpper = this.getKeypointByLabel(this.mirrorMode.mirrorLabel("left_jaw_upper"));
+        if (leftJawUpper == null) {
             return this.earlobeKeypoints;
         }
 
-        const k366 = this.faceKeypoints?.[366];
-        if (k366 == null) {
+        const leftCheekOuter = this.getKeypointByLabel(this.mirrorMode.mirrorLabel("left_cheek_outer"));
+        if (leftCheekOuter == null) {
             return this.earlobeKeypoints;
         }
 
-        const k401 = this.faceKeypoints?.[401];
-        if (k401 == null) {
+        const leftCheekLower = this.getKeypointByLabel(this.mirrorMode.mirrorLabel("left_cheek_lower"));
+        if (leftCheekLower == null) {
             return this.earlobeKeypoints;
         }
 
@@ -354,45 +407,43 @@ export class Mesh {
             earlobeKeypoint.setScale(scaleX, scaleY, 1);
         }
 
-        const isRotatedLeft = (rightEdgeFace.z - leftEdgeFace.z) > 20;
-        const isRotatedRight = (leftEdgeFace.z - rightEdgeFace.z) > 20;
-
-        const isRotatedUp = topEdgeFace.z > 8;
-        const isRotatedDown = bottomEdgeFace.z > 8;
+        // When the head turns far enough to one side, the earlobe on the other side is hidden behind it.
+        const isLeftEarlobeHidden = headPose.getYaw() > Mesh.earlobeOcclusionYaw;
+        const isRightEarlobeHidden = headPose.getYaw() < -Mesh.earlobeOcclusionYaw;
 
         let leftEarlobeX;
-        leftEarlobeX = k323.getX() + Math.abs(k366.getX() - k323.getX());
-        leftEarlobeX += k361.getX() + Math.abs(k401.getX() - k361.getX());
+        leftEarlobeX = leftEarFront.getX() + direction * Math.abs(leftCheekOuter.getX() - leftEarFront.getX());
+        leftEarlobeX += leftJawUpper.getX() + direction * Math.abs(leftCheekLower.getX() - leftJawUpper.getX());
         leftEarlobeX /= 2;
-        leftEarlobeX -= this.earlobeKeypoints[0].getWidth() / 2;
+        leftEarlobeX -= direction * leftEarlobe.getWidth() / 2;
         leftEarlobeX = (leftEarlobeX + leftEar.getX()) / 2; // Position the earring between our estimated earlobe and the ear for a more accurate position.
 
         let rightEarlobeX;
-        rightEarlobeX = k132.getX() - Math.abs(k132.getX() - k177.getX());
-        rightEarlobeX += k93.getX() - Math.abs(k93.getX() - k137.getX());
+        rightEarlobeX = rightJawUpper.getX() - direction * Math.abs(rightJawUpper.getX() - rightCheekLower.getX());
+        rightEarlobeX += rightEarFront.getX() - direction * Math.abs(rightEarFront.getX() - rightCheekOuter.getX());
         rightEarlobeX /= 2;
-        rightEarlobeX += this.earlobeKeypoints[1].getWidth() / 2;
+        rightEarlobeX += direction * rightEarlobe.getWidth() / 2;
         rightEarlobeX = (rightEarlobeX + rightEar.getX()) / 2; // Position the earring between our estimated earlobe and the ear for a more accurate position.
 
         let leftEarlobeY = 0;
-        leftEarlobeY = k323.getY() + Math.abs(k366.getY() - k323.getY());
-        leftEarlobeY += k361.getY() + Math.abs(k401.getY() - k361.getY());
+        leftEarlobeY = leftEarFront.getY() + Math.abs(leftCheekOuter.getY() - leftEarFront.getY());
+        leftEarlobeY += leftJawUpper.getY() + Math.abs(leftCheekLower.getY() - leftJawUpper.getY());
         leftEarlobeY /= 2;
-        leftEarlobeY += this.earlobeKeypoints[0].getHeight() / 2;
+        leftEarlobeY += leftEarlobe.getHeight() / 2;
 
         let rightEarlobeY;
-        rightEarlobeY = k132.getY() - Math.abs(k132.getY() - k177.getY());
-        rightEarlobeY += k93.getY() - Math.abs(k93.getY() - k137.getY());
+        rightEarlobeY = rightJawUpper.getY() - Math.abs(rightJawUpper.getY() - rightCheekLower.getY());
+        rightEarlobeY += rightEarFront.getY() - Math.abs(rightEarFront.getY() - rightCheekOuter.getY());
         rightEarlobeY /= 2;
-        rightEarlobeY += this.earlobeKeypoints[1].getHeight() / 2;
+        rightEarlobeY += rightEarlobe.getHeight() / 2;
 
-        this.earlobeKeypoints[0].setConfidence(isRotatedRight ? 0 : 1);
-        this.earlobeKeypoints[0].setPosition(leftEarlobeX, leftEarlobeY, leftEar.z);
-        this.earlobeKeypoints[0].setColour(Mesh.defaultEarlobeKeypointColour);
+        leftEarlobe.setConfidence(isLeftEarlobeHidden ? 0 : 1);
+        leftEarlobe.setPosition(leftEarlobeX, leftEarlobeY, leftEar.z);
+        leftEarlobe.setColour(Mesh.defaultEarlobeKeypointColour);
 
-        this.earlobeKeypoints[1].setConfidence(isRotatedLeft ? 0 : 1);
-        this.earlobeKeypoints[1].setPosition(rightEarlobeX, rightEarlobeY, rightEar.z);
-        this.earlobeKeypoints[1].setColour(Mesh.defaultEarlobeKeypointColour);
+        rightEarlobe.setConfidence(isRightEarlobeHidden ? 0 : 1);
+        rightEarlobe.setPosition(rightEarlobeX, rightEarlobeY, rightEar.z);
+        rightEarlobe.setColour(Mesh.defaultEarlobeKeypointColour);
 
         return this.earlobeKeypoints;
     }
@@ -407,12 +458,182 @@ export class Mesh {
     }
 
     /**
-     * Retrieves the hand Keypoints.
+     * Retrieves the face Keypoints of a region, such as `lips_outer` or `left_eye`.
+     *
+     * @param {string} region Name of the region. See {@link FaceLandmarks.regions} for the names.
+     * @throws {Error} If the region is unknown.
+     *
+     * @returns {Keypoint[]} Keypoints of the region, in order, or an empty array if they weren't detected. The irises
+     *                       are only detected when the FaceDetector refines its landmarks.
+     */
+    getFaceRegion(region) {
+        // The names of sided regions are swapped along with the labels of their Keypoints.
+        const indices = FaceLandmarks.getRegion(this.mirrorMode.mirrorLabel(region));
+
+        const keypoints = indices.map(index => this.faceKeypoints[index]);
+        if (keypoints.some(keypoint => keypoint == null)) {
+            return [];
+        }
+
+        return keypoints;
+    }
+
+    /**
+     * Calculates the bounding box of a region of the face.
+     *
+     * @param {string} region Name of the region.
+     * @throws {Error} If the region is unknown.
+     *
+     * @returns {{xMin: number, xMax: number, yMin: number, yMax: number, width: number, height: number}|null} Bounding
+     *          box of the region, or null if it wasn't detected.
+     */
+    getFaceRegionBoundingBox(region) {
+        const keypoints = this.getFaceRegion(region);
+        if (keypoints.length === 0 || keypoints.some(keypoint => keypoint.getConfidence() === 0)) {
+            return null;
+        }
+
+        const xs = keypoints.map(keypoint => keypoint.getX());
+        const ys = keypoints.map(keypoint => keypoint.getY());
+
+        const xMin = Math.min(...xs);
+        const xMax = Math.max(...xs);
+        const yMin = Math.min(...ys);
+        const yMax = Math.max(...ys);
+        return {xMin: xMin, xMax: xMax, yMin: yMin, yMax: yMax, width: xMax - xMin, height: yMax - yMin};
+    }
+
+    /**
+     * Calculates the centroid of a region of the face, as the average position of its Keypoints.
      *
-     * @returns {Keypoint[]} Hand Keypoints.
+     * @param {string} region Name of the region.
+     * @throws {Error} If the region is unknown.
+     *
+     * @returns {{x: number, y: number, z: number}|null} Centroid of the region, or null if it wasn't detected.
+     */
+    getFaceRegionCentroid(region) {
+        const keypoints = this.getFaceRegion(region);
+        if (keypoints.length === 0 || keypoints.some(keypoint => keypoint.getConfidence() === 0)) {
+            return null;
+        }
+
+        const centroid = {x: 0, y: 0, z: 0};
+        for (const keypoint of keypoints) {
+            centroid.x += keypoint.getX() / keypoints.length;
+            centroid.y += keypoint.getY() / keypoints.length;
+            centroid.z += keypoint.getZ() / keypoints.length;
+        }
+
+        return centroid;
+    }
+
+    /**
+     * Estimates the positions of the irises, and the direction of the gaze, from the face Keypoints.
+     *
+     * @returns {Gaze} The gaze, which has a confidence of 0 if no face was detected, or if the FaceDetector isn't
+     *                 refining its landmarks.
+     */
+    getGaze() {
+        return Gaze.fromFaceKeypoints(this.faceKeypoints, this.mirrorMode.isEnabled());
+    }
+
+    /**
+     * Solves the pose of the head from the face Keypoints.
+     *
+     * @returns {HeadPose} Pose of the head, which has a confidence of 0 if no face is detected.
+     */
+    getHeadPose() {
+        return HeadPose.fromFaceKeypoints(this.faceKeypoints, this.mirrorMode.isEnabled());
+    }
+
+    /**
+     * Retrieves the mirror mode applied to the Keypoints.
+     *
+     * @returns {MirrorMode} Mirror mode applied to the Keypoints.
+     */
+    getMirrorMode() {
+        return this.mirrorMode;
+    }
+
+    /**
+     * Retrieves the Keypoints of both hands.
+     *
+     * @returns {Keypoint[]} Keypoints of the left hand, followed by those of the right hand.
      */
     getHandKeypoints() {
-        return this.handKeypoints;
+        return [...this.handKeypoints.left, ...this.handKeypoints.right];
+    }
+
+    /**
+     * Retrieves the Keypoints of the left hand.
+     *
+     * @returns {Keypoint[]} Keypoints of the left hand, or an empty array if it has never been detected.
+     */
+    getLeftHandKeypoints() {
+        return this.handKeypoints.left;
+    }
+
+    /**
+     * Retrieves the Keypoints of the right hand.
+     *
+     * @returns {Keypoint[]} Keypoints of the right hand, or an empty array if it has never been detected.
+     */
+    getRightHandKeypoints() {
+        return this.handKeypoints.right;
+    }
+
+    /**
+     * Attempts to retrieve a Keypoint of a hand by its name.
+     *
+     * @param {"left"|"right"} handedness Handedness of the hand.
+     * @param {string} name Name of the Keypoint, without the handedness. For example, `wrist` or `index_finger_tip`.
+     * @throws {Error} If the handedness is unknown.
+     *
+     * @returns {Keypoint|null} The Keypoint, or null if the hand has never been detected.
+     */
+    getHandKeypoint(handedness, name) {
+        Mesh.validateHandedness(handedness);
+        validateNonEmptyString(name);
+
+        const label = handedness + "_" + name;
+        return this.handKeypoints[handedness].find(keypoint => keypoint.getLabel() === label) ?? null;
+    }
+
+    /**
+     * Retrieves the confidence of a hand.
+     *
+     * @param {"left"|"right"} handedness Handedness of the hand.
+     * @throws {Error} If the handedness is unknown.
+     *
+     * @returns {number} Score of the hand when it was last detected, or 0 if it was not detected in the last update.
+     */
+    getHandConfidence(handedness) {
+        Mesh.validateHandedness(handedness);
+        return this.handConfidences[handedness];
+    }
+
+    /**
+     * Determines whether a hand was detected in the last update.
+     *
+     * @param {"left"|"right"} handedness Handedness of the hand.
+     * @throws {Error} If the handedness is unknown.
+     *
+     * @returns {boolean} Whether the hand is present.
+     */
+    isHandPresent(handedness) {
+        return this.getHandConfidence(handedness) > 0;
+    }
+
+    /**
+     * Determines whether a handedness is known.
+     *
+     * @param {string} handedness Handedness to check.
+     * @throws {Error} If the handedness is not `left` or `right`.
+     */
+    static validateHandedness(handedness) {
+        if (!Mesh.handednesses.includes(handedness)) {
+            throw new Error(`Unknown handedness: ${handedness}`);
+        }
     }
 
     /**
@@ -423,22 +644,17 @@ export class Mesh {
     getNecklaceKeypoint() {
         this.necklaceKeypoint.setConfidence(0);
 
-        const leftEdgeFace = this.getKeypointByLabel("left_edge_face");
-        if (leftEdgeFace == null) {
+        const headPose = this.getHeadPose();
+        if (headPose.getConfidence() === 0) {
             return this.necklaceKeypoint;
         }
 
-        const rightEdgeFace = this.getKeypointByLabel("right_edge_face");
-        if (rightEdgeFace == null) {
-            return this.necklaceKeypoint;
-        }
-
-        const leftShoulder = this.getKeypointByLabel("left_shoulder");
+        const leftShoulder = this.getKeypointByLabel(this.mirrorMode.mirrorLabel("left_shoulder"));
         if (leftShoulder == null) {
             return this.necklaceKeypoint;
         }
 
-        const rightShoulder = this.getKeypointByLabel("right_shoulder");
+        const rightShoulder = this.getKeypointByLabel(this.mirrorMode.mirrorLabel("right_shoulder"));
         if (rightShoulder == null) {
             return this.necklaceKeypoint;
         }
@@ -468,11 +684,14 @@ export class Mesh {
             this.necklaceKeypoint.setScale(scaleX, scaleY, 1);
         }
 
-        const rotationY  = (rightEdgeFace.z - leftEdgeFace.z) / 3;
-        this.necklaceKeypoint.setRotationY(-rotationY);
+        // If the Keypoints have been flipped horizontally, then the direction of the rotations is also flipped.
+        const direction = this.mirrorMode.isEnabled() ? -1 : 1;
+
+        this.necklaceKeypoint.setRotationY(headPose.getYaw() * direction);
 
-        const rotationZ = (rightShoulder.getY() - leftShoulder.getY()) / 5;
-        this.necklaceKeypoint.setRotationZ(rotationZ);
+        const shoulderWidth = Math.abs(leftShoulder.getX() - rightShoulder.getX());
+        const rotationZ = Math.atan2(rightShoulder.getY() - leftShoulder.getY(), shoulderWidth) * (180 / Math.PI);
+        this.necklaceKeypoint.setRotationZ(rotationZ * direction);
 
         let x = (leftShoulder.getX() + rightShoulder.getX()) / 2;
 
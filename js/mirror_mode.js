@@ -0,0 +1,123 @@
+import {Keypoint} from "./keypoint.js";
+import {validateBoolean, validateInstanceOf, validateNumber} from "./utility/validation.js";
+
+export class MirrorMode extends EventTarget {
+    /**
+     * Creates a new MirrorMode.
+     *
+     * @param {boolean} enabled Whether the video, and the Keypoints, should be flipped horizontally.
+     * @param {boolean} swappingLabels Whether the left/right labels, and handedness, of Keypoints should be swapped.
+     */
+    constructor(enabled = false, swappingLabels = false) {
+        super();
+
+        validateBoolean(enabled);
+        validateBoolean(swappingLabels);
+
+        this.enabled = enabled;
+        this.frameWidth = 0;
+        this.swappingLabels = swappingLabels;
+    }
+
+    /**
+     * Flips a Keypoint's position on the x-axis, and swaps its label, to match the mirror mode.
+     *
+     * This should only be called once per update of a Keypoint, as calling it twice would undo the mirroring.
+     *
+     * @param {Keypoint} keypoint Keypoint to mirror.
+     */
+    mirrorKeypoint(keypoint) {
+        validateInstanceOf(keypoint, Keypoint);
+
+        if (this.enabled) {
+            keypoint.setX(this.frameWidth - keypoint.getX());
+        }
+
+        keypoint.setLabel(this.mirrorLabel(keypoint.getLabel()));
+    }
+
+    /**
+     * Swaps the side of a label, if labels are being swapped.
+     *
+     * As swapping is symmetrical, this can also be used to find the label that a Keypoint had before it was mirrored.
+     *
+     * @param {string|null} label Label to swap.
+     * @returns {string|null} The swapped label, or the original label if labels are not being swapped.
+     */
+    mirrorLabel(label) {
+        if (!this.swappingLabels || label == null) {
+            return label;
+        }
+
+        return MirrorMode.swapLabelSide(label);
+    }
+
+    /**
+     * Swaps the `left_` and `right_` prefixes of a label.
+     *
+     * @param {string} label Label to swap.
+     * @returns {string} The swapped label, or the original label if it has neither prefix.
+     */
+    static swapLabelSide(label) {
+        return label.replace(/^(left|right)_/, (match, side) => side === "left" ? "right_" : "left_");
+    }
+
+    /**
+     * Retrieves the width, in pixels, of the frames which the Keypoints are detected in.
+     *
+     * @returns {number} Width of the frames.
+     */
+    getFrameWidth() {
+        return this.frameWidth;
+    }
+
+    /**
+     * Determines whether the video, and the Keypoints, are flipped horizontally.
+     *
+     * @returns {boolean} Whether the video, and the Keypoints, are flipped horizontally.
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Determines whether the left/right labels, and handedness, of Keypoints are swapped.
+     *
+     * @returns {boolean} Whether the left/right labels, and handedness, of Keypoints are swapped.
+     */
+    isSwappingLabels() {
+        return this.swappingLabels;
+    }
+
+    /**
+     * Sets whether the video, and the Keypoints, should be flipped horizontally.
+     *
+     * @param {boolean} enabled Whether the video, and the Keypoints, should be flipped horizontally.
+     */
+    setEnabled(enabled) {
+        validateBoolean(enabled);
+        this.enabled = enabled;
+        this.dispatchEvent(new CustomEvent("changed"));
+    }
+
+    /**
+     * Sets the width, in pixels, of the frames which the Keypoints are detected in.
+     *
+     * @param {number} frameWidth Width of the frames.
+     */
+    setFrameWidth(frameWidth) {
+        validateNumber(frameWidth);
+        this.frameWidth = frameWidth;
+    }
+
+    /**
+     * Sets whether the left/right labels, and handedness, of Keypoints should be swapped.
+     *
+     * @param {boolean} swappingLabels Whether the left/right labels, and handedness, of Keypoints should be swapped.
+     */
+    setSwappingLabels(swappingLabels) {
+        validateBoolean(swappingLabels);
+        this.swappingLabels = swappingLabels;
+        this.dispatchEvent(new CustomEvent("changed"));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,404 @@
+import {Mesh} from "./mesh.js";
+import {MirrorMode} from "./mirror_mode.js";
+import {validateDefined, validateInstanceOf, validateNumber, validatePositiveInteger} from "./utility/validation.js";
+
+/**
+ * Tracks multiple people, each with their own Mesh, and matches every detected body, face, and hand to the Mesh of the
+ * person that it belongs to.
+ *
+ * Detections are matched to people by the distance between their head positions in consecutive frames, so each person
+ * keeps the same Mesh, and the same assets, while they move around. A detection which is too far from everyone is
+ * treated as a different person, so a person who enters as another leaves is not given the Mesh of the one who left.
+ *
+ * Events:
+ * - `personEntered` - `{mesh: Mesh}` A person was detected who was not previously present.
+ * - `personLeft` - `{mesh: Mesh}` A person is no longer detected.
+ */
+export class People extends EventTarget {
+    /** Minimum confidence a raw body Keypoint must have to be used for matching. */
+    static minimumKeypointScore = 0.3;
+
+    /**
+     * Maximum distance, in head widths, between a person's previous head position and a detection for them to be
+     * matched. People can move this far between the frames that they are detected in.
+     */
+    static maximumMatchDistance = 2;
+
+    /** Strategies which can be used to pick the primary person. */
+    static primaryStrategies = ["central", "largest"];
+
+    /**
+     * Creates a new People object.
+     *
+     * @param {number} maximumPeople Maximum number of people to track.
+     * @param {MirrorMode} mirrorMode Mirror mode to apply to the Keypoints of every person, as they are updated.
+     */
+    constructor(maximumPeople = 1, mirrorMode = new MirrorMode()) {
+        super();
+
+        validatePositiveInteger(maximumPeople);
+        validateInstanceOf(mirrorMode, MirrorMode);
+
+        this.frameHeight = 0;
+        this.frameWidth = 0;
+        this.mirrorMode = mirrorMode;
+
+        // The positions stored for each person are in the coordinates of the raw detections, before any mirroring.
+        this.people = [];
+        for (let i = 0 ; i < maximumPeople ; i++) {
+            this.people.push({
+                anchor: null,
+                faceSize: 0,
+                hasBody: false,
+                hasFace: false,
+                isPresent: false,
+                mesh: new Mesh(mirrorMode),
+                wrists: []
+            });
+        }
+    }
+
+    /**
+     * Updates the body Keypoints of each person.
+     *
+     * @param {Object[]} rawBodies Raw body data, as returned by the body detection model.
+     * @param {number} frameWidth Width, in pixels, of the frame that the bodies were detected in.
+     * @param {number} frameHeight Height, in pixels, of the frame that the bodies were detected in.
+     */
+    updateBodies(rawBodies, frameWidth, frameHeight) {
+        validateDefined(rawBodies);
+        this.setFrameSize(frameWidth, frameHeight);
+
+        const anchors = rawBodies.map(rawBody => People.getBodyAnchor(rawBody));
+        const assignments = this.assignDetections(anchors);
+
+        for (const person of this.people) {
+            const index = assignments.indexOf(person);
+            const rawBody = index === -1 ? null : rawBodies[index];
+
+            person.hasBody = rawBody != null;
+            person.mesh.updateBodyKeypoints(rawBody);
+
+            if (rawBody != null) {
+                person.anchor = anchors[index];
+                person.wrists = rawBody.keypoints.filter(rawKeypoint => {
+                    return rawKeypoint.name?.endsWith("_wrist") && rawKeypoint.score >= People.minimumKeypointScore;
+                });
+            } else {
+                person.wrists = [];
+            }
+        }
+
+        this.updatePresence();
+    }
+
+    /**
+     * Updates the face Keypoints of each person.
+     *
+     * @param {Object[]} rawFaces Raw face data, as returned by the face landmarks detection model.
+     * @param {number} frameWidth Width, in pixels, of the frame that the faces were detected in.
+     * @param {number} frameHeight Height, in pixels, of the frame that the faces were detected in.
+     */
+    updateFaces(rawFaces, frameWidth, frameHeight) {
+        validateDefined(rawFaces);
+        this.setFrameSize(frameWidth, frameHeight);
+
+        const anchors = rawFaces.map(rawFace => People.getFaceAnchor(rawFace));
+        const assignments = this.assignDetections(anchors);
+
+        for (const person of this.people) {
+            const index = assignments.indexOf(person);
+            const rawFace = index === -1 ? null : rawFaces[index];
+
+            person.hasFace = rawFace != null;
+            person.mesh.updateFaceKeypoints(rawFace);
+
+            if (rawFace != null) {
+                person.anchor = anchors[index];
+                person.faceSize = rawFace.box.width * rawFace.box.height;
+            } else {
+                person.faceSize = 0;
+            }
+        }
+
+        this.updatePresence();
+    }
+
+    /**
+     * Updates the hand Keypoints of each person.
+     *
+     * Each hand is given to the person whose body has the nearest wrist or, if no wrists were detected, to the person
+     * whose head is nearest.
+     *
+     * @param {Object[]} rawHands Raw hand data, as returned by the hand pose detection model.
+     * @param {number} frameWidth Width, in pixels, of the frame that the hands were detected in.
+     * @param {number} frameHeight Height, in pixels, of the frame that the hands were detected in.
+     */
+    updateHands(rawHands, frameWidth, frameHeight) {
+        validateDefined(rawHands);
+        this.setFrameSize(frameWidth, frameHeight);
+
+        const handsByPerson = new Map(this.people.map(person => [person, []]));
+
+        for (const rawHand of rawHands) {
+            const wrist = rawHand.keypoints[0];
+
+            let nearestPerson = null;
+            let nearestDistance = Infinity;
+            for (const person of this.people) {
+                if (person.anchor == null) {
+                    continue;
+                }
+
+                const targets = person.wrists.length > 0 ? person.wrists : [person.anchor];
+                for (const target of targets) {
+                    const distance = Math.hypot(target.x - wrist.x, target.y - wrist.y);
+                    if (distance < nearestDistance) {
+                        nearestDistance = distance;
+                        nearestPerson = person;
+                    }
+                }
+            }
+
+            // Before anyone's body or face has been detected, the hands are given to the first person.
+            handsByPerson.get(nearestPerson ?? this.people[0]).push(rawHand);
+        }
+
+        for (const [person, hands] of handsByPerson) {
+            person.mesh.updateHandKeypoints(hands);
+        }
+    }
+
+    /**
+     * Matches detections to people, keeping each person matched to the detection nearest to their previous position.
+     *
+     * A detection is only near a person if it is within {@link People.maximumMatchDistance} head widths of them.
+     * Detections which are not near anyone are matched to people who are not present. If there are more detections
+     * than people, then the remaining detections are not matched.
+     *
+     * @param {({x: number, y: number, size: number|null}|null)[]} anchors Head position of each detection.
+     * @returns {(Object|null)[]} The person matched to each detection, or null if it was not matched.
+     */
+    assignDetections(anchors) {
+        const assignments = new Array(anchors.length).fill(null);
+
+        const pairs = [];
+        for (let i = 0 ; i < anchors.length ; i++) {
+            if (anchors[i] == null) {
+                continue;
+            }
+
+            for (const person of this.people) {
+                if (person.anchor == null) {
+                    continue;
+                }
+
+                // Without the size of either head, there is no way to tell whether the detection is near the person.
+                const size = Math.max(person.anchor.size ?? 0, anchors[i].size ?? 0);
+                const distance = Math.hypot(person.anchor.x - anchors[i].x, person.anchor.y - anchors[i].y);
+                if (distance <= size * People.maximumMatchDistance) {
+                    pairs.push({distance: distance, index: i, person: person});
+                }
+            }
+        }
+
+        // The closest pairs are matched first, so that people who stand near each other are not swapped.
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const matchedPeople = new Set();
+        for (const pair of pairs) {
+            if (assignments[pair.index] == null && !matchedPeople.has(pair.person)) {
+                assignments[pair.index] = pair.person;
+                matchedPeople.add(pair.person);
+            }
+        }
+
+        for (let i = 0 ; i < anchors.length ; i++) {
+            if (anchors[i] == null || assignments[i] != null) {
+                continue;
+            }
+
+            const person = this.people.find(person => person.anchor == null && !matchedPeople.has(person));
+            if (person == null) {
+                break;
+            }
+
+            assignments[i] = person;
+            matchedPeople.add(person);
+        }
+
+        return assignments;
+    }
+
+    /**
+     * Updates which people are present, dispatching a `personEntered` or `personLeft` event for each change.
+     *
+     * A person is no longer present once neither their body nor their face is detected.
+     */
+    updatePresence() {
+        for (const person of this.people) {
+            const isPresent = person.hasBody || person.hasFace;
+
+            if (isPresent && !person.isPresent) {
+                this.dispatchEvent(new CustomEvent("personEntered", {detail: {mesh: person.mesh}}));
+            } else if (!isPresent && person.isPresent) {
+                person.anchor = null;
+                this.dispatchEvent(new CustomEvent("personLeft", {detail: {mesh: person.mesh}}));
+            }
+
+            person.isPresent = isPresent;
+        }
+    }
+
+    /**
+     * Calculates the head position of a raw body.
+     *
+     * The width of the head is estimated from the distance between the ears or, if they were not detected, from half
+     * of the distance between the shoulders.
+     *
+     * @param {Object} rawBody Raw body data.
+     * @returns {{x: number, y: number, size: number|null}|null} The position of the nose or, if it was not detected,
+     *                                                           the average position of the detected Keypoints, and
+     *                                                           the width of the head, or null if it could not be
+     *                                                           estimated. Null if no Keypoints were detected.
+     */
+    static getBodyAnchor(rawBody) {
+        const rawKeypoints = rawBody.keypoints.filter(rawKeypoint => rawKeypoint.score >= People.minimumKeypointScore);
+        if (rawKeypoints.length === 0) {
+            return null;
+        }
+
+        const find = name => rawKeypoints.find(rawKeypoint => rawKeypoint.name === name);
+        const getDistance = (a, b) => a == null || b == null ? null : Math.hypot(a.x - b.x, a.y - b.y);
+
+        const earDistance = getDistance(find("left_ear"), find("right_ear"));
+        const shoulderDistance = getDistance(find("left_shoulder"), find("right_shoulder"));
+        const size = earDistance ?? (shoulderDistance == null ? null : shoulderDistance / 2);
+
+        const nose = find("nose");
+        if (nose != null) {
+            return {x: nose.x, y: nose.y, size: size};
+        }
+
+        return {
+            x: rawKeypoints.reduce((sum, rawKeypoint) => sum + rawKeypoint.x, 0) / rawKeypoints.length,
+            y: rawKeypoints.reduce((sum, rawKeypoint) => sum + rawKeypoint.y, 0) / rawKeypoints.length,
+            size: size
+        };
+    }
+
+    /**
+     * Calculates the head position of a raw face.
+     *
+     * @param {Object} rawFace Raw face data.
+     * @returns {{x: number, y: number, size: number}} The centre, and width, of the face's bounding box.
+     */
+    static getFaceAnchor(rawFace) {
+        return {
+            x: rawFace.box.xMin + rawFace.box.width / 2,
+            y: rawFace.box.yMin + rawFace.box.height / 2,
+            size: rawFace.box.width
+        };
+    }
+
+    /**
+     * Retrieves the maximum number of people that can be tracked.
+     *
+     * @returns {number} Maximum number of people.
+     */
+    getMaximumPeople() {
+        return this.people.length;
+    }
+
+    /**
+     * Retrieves the Mesh of every person, whether they are present or not.
+     *
+     * @returns {Mesh[]} Meshes of every person.
+     */
+    getMeshes() {
+        return this.people.map(person => person.mesh);
+    }
+
+    /**
+     * Retrieves the mirror mode applied to the Keypoints of every person.
+     *
+     * @returns {MirrorMode} Mirror mode applied to the Keypoints.
+     */
+    getMirrorMode() {
+        return this.mirrorMode;
+    }
+
+    /**
+     * Retrieves the Meshes of the people who are currently present.
+     *
+     * @returns {Mesh[]} Meshes of the people who are present.
+     */
+    getPresentMeshes() {
+        return this.people.filter(person => person.isPresent).map(person => person.mesh);
+    }
+
+    /**
+     * Retrieves the Mesh of the primary person.
+     *
+     * @param {"central"|"largest"} strategy How to pick the primary person. `largest` picks the person with the largest
+     *                                       face, and `central` picks the person nearest to the centre of the frame.
+     * @throws {Error} If the strategy is unknown.
+     *
+     * @returns {Mesh|null} Mesh of the primary person, or null if nobody is present.
+     */
+    getPrimaryMesh(strategy = "largest") {
+        if (!People.primaryStrategies.includes(strategy)) {
+            throw new Error(`Unknown strategy: ${strategy}`);
+        }
+
+        let score;
+        if (strategy === "largest") {
+            score = person => person.faceSize;
+        } else {
+            const centreX = this.frameWidth / 2;
+            const centreY = this.frameHeight / 2;
+            score = person => -Math.hypot(person.anchor.x - centreX, person.anchor.y - centreY);
+        }
+
+        let primaryPerson = null;
+        for (const person of this.people) {
+            if (!person.isPresent || person.anchor == null) {
+                continue;
+            }
+
+            if (primaryPerson == null || score(person) > score(primaryPerson)) {
+                primaryPerson = person;
+            }
+        }
+
+        return primaryPerson?.mesh ?? null;
+    }
+
+    /**
+     * Determines whether the person with a specific Mesh is currently present.
+     *
+     * @param {Mesh} mesh Mesh of the person.
+     * @returns {boolean} Whether the person is present.
+     */
+    isPresent(mesh) {
+        validateInstanceOf(mesh, Mesh);
+        return this.people.some(person => person.mesh === mesh && person.isPresent);
+    }
+
+    /**
+     * Sets the size, in pixels, of the frames which the people are detected in.
+     *
+     * The Keypoints are mirrored across the width of the frame, so this is set before each update.
+     *
+     * @param {number} width Width of the frames.
+     * @param {number} height Height of the frames.
+     */
+    setFrameSize(width, height) {
+        validateNumber(width);
+        validateNumber(height);
+
+        this.frameHeight = height;
+        this.frameWidth = width;
+        this.mirrorMode.setFrameWidth(width);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,148 @@
+import {KeypointRenderer} from "./keypoint_renderer.js";
+import {VideoRenderer} from "./video_renderer.js";
+import {WebGLRenderer} from "three";
+import {validateBoolean, validateDefined, validateInstanceOf, validateNonEmptyString} from "../utility/validation.js";
+
+/**
+ * Combines the current video frame with the Keypoints, and any assets displayed on them, into a single image at the
+ * full resolution of the video.
+ */
+export class Compositor {
+    /**
+     * Creates a new Compositor.
+     *
+     * @param {VideoRenderer} videoRenderer VideoRenderer whose video should be composited.
+     * @param {KeypointRenderer} keypointRenderer KeypointRenderer whose Keypoints should be composited.
+     */
+    constructor(videoRenderer, keypointRenderer) {
+        validateInstanceOf(videoRenderer, VideoRenderer);
+        validateInstanceOf(keypointRenderer, KeypointRenderer);
+
+        this.keypointRenderer = keypointRenderer;
+        this.videoRenderer = videoRenderer;
+
+        this.canvas = document.createElement("canvas");
+        this.canvasContext = this.canvas.getContext("2d");
+
+        /*
+         * The Keypoints are rendered with a separate WebGLRenderer, rather than by reading the KeypointRenderer's
+         * canvas, so that they can be rendered at the full resolution of the video without resizing that canvas.
+         */
+        this.glContext = new WebGLRenderer({alpha: true, preserveDrawingBuffer: true});
+    }
+
+    /**
+     * Draws the current video frame, and the Keypoints, onto the Compositor's canvas.
+     *
+     * @param {boolean} includeDebugKeypoints Whether Keypoints which are not displaying an asset should be drawn.
+     * @throws {Error} If the video has no frame to draw.
+     *
+     * @returns {HTMLCanvasElement} The Compositor's canvas.
+     */
+    composite(includeDebugKeypoints = true) {
+        validateBoolean(includeDebugKeypoints);
+
+        const video = this.videoRenderer.getVideo();
+        const width = video.videoWidth;
+        const height = video.videoHeight;
+
+        if (width === 0 || height === 0) {
+            throw new Error("The video has no frame to draw.");
+        }
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        this.canvasContext.save();
+        if (this.videoRenderer.getMirrorMode().isEnabled()) {
+            this.canvasContext.translate(width, 0);
+            this.canvasContext.scale(-1, 1);
+        }
+        this.canvasContext.drawImage(video, 0, 0, width, height);
+        this.canvasContext.restore();
+
+        const hiddenMeshes = [];
+        if (!includeDebugKeypoints) {
+            this.keypointRenderer.getScene().traverse(object => {
+                if (object.isMesh && object.visible && object.material.map == null && !object.userData.isOccluder) {
+                    object.visible = false;
+                    hiddenMeshes.push(object);
+                }
+            });
+        }
+
+        // The KeypointRenderer's camera covers the size of its canvas, so the Keypoints are scaled up to fit the video.
+        this.glContext.setSize(width, height, false);
+        this.glContext.render(this.keypointRenderer.getScene(), this.keypointRenderer.getCamera());
+
+        for (const mesh of hiddenMeshes) {
+            mesh.visible = true;
+        }
+
+        this.canvasContext.drawImage(this.glContext.domElement, 0, 0, width, height);
+        return this.canvas;
+    }
+
+    /**
+     * Captures a snapshot of the current video frame and the Keypoints.
+     *
+     * @param {{
+     *   includeDebugKeypoints: boolean|undefined,
+     *   quality: number|undefined,
+     *   type: string|undefined
+     * }} options Options to use. `type` is the image format, such as `image/png` or `image/jpeg`, and `quality` is a
+     *            number between 0 and 1 used by lossy formats.
+     * @throws {Error} If the video has no frame to draw, or if the snapshot cannot be encoded.
+     *
+     * @returns {Promise<Blob>} A promise that resolves to the encoded snapshot.
+     */
+    async captureBlob(options = {}) {
+        validateDefined(options);
+
+        const type = options.type ?? "image/png";
+        validateNonEmptyString(type);
+
+        const canvas = this.composite(options.includeDebugKeypoints ?? true);
+        return await new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob == null) {
+                    reject(new Error("Failed to encode the snapshot as " + type + "."));
+                } else {
+                    resolve(blob);
+                }
+            }, type, options.quality);
+        });
+    }
+
+    /**
+     * Captures a snapshot of the current video frame and the Keypoints.
+     *
+     * @param {{
+     *   includeDebugKeypoints: boolean|undefined,
+     *   quality: number|undefined,
+     *   type: string|undefined
+     * }} options Options to use. See {@link captureBlob}.
+     * @throws {Error} If the video has no frame to draw.
+     *
+     * @returns {string} A data URL containing the encoded snapshot.
+     */
+    captureDataUrl(options = {}) {
+        validateDefined(options);
+
+        const type = options.type ?? "image/png";
+        validateNonEmptyString(type);
+
+        return this.composite(options.includeDebugKeypoints ?? true).toDataURL(type, options.quality);
+    }
+
+    /**
+     * Retrieves the canvas which the Compositor draws onto.
+     *
+     * @returns {HTMLCanvasElement} The Compositor's canvas.
+     */
+    getCanvas() {
+        return this.canvas;
+    }
+}
\ No newline at end of file
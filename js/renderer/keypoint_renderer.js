@@ -1,25 +1,58 @@
-import {Detector} from "../detector/detector.js";
 import {Keypoint} from "../keypoint.js";
 import {Mesh} from "../mesh.js";
+import {People} from "../people.js";
 import {Renderer} from "./renderer.js";
-import {Scene} from "three";
-import {validateBoolean, validateInstanceOf, validateNonEmptyString, validatePositiveNumber} from "../utility/validation.js";
+import {SegmentationDetector} from "../detector/segmentation_detector.js";
+import {DataTexture, Mesh as SceneMesh, MeshBasicMaterial, PlaneGeometry, Scene} from "three";
+import {
+    validateBoolean,
+    validateDefined,
+    validateInstanceOf,
+    validateNonEmptyString
+} from "../utility/validation.js";
 
 export class KeypointRenderer extends Renderer {
-    /** Desired number of frames per second. */
-    static fps = 60;
+    /** Categories of the segmentation mask which are always in front of the assets. */
+    static occludingCategories = ["hair"];
+
+    /**
+     * Categories of the segmentation mask which are in front of the assets, but only within the bounds of a hand, so
+     * that the skin of the neck doesn't hide the earrings hanging in front of it.
+     */
+    static handOccludingCategories = ["body_skin"];
+
+    /** Fraction of a hand's width and height by which its bounds are grown, so that they cover the whole hand. */
+    static handBoundsPadding = 0.2;
+
+    /**
+     * Position of the occluder on the z-axis. It is just in front of the camera's near plane, so that it is in front
+     * of every Keypoint.
+     */
+    static occluderZ = 98;
 
     /**
      * Constructs a new KeypointRenderer.
      *
-     * @param {Mesh} mesh Mesh to render.
+     * @param {People} people People whose Meshes should be rendered.
+     * @param {{
+     *   canvas: HTMLCanvasElement|undefined,
+     *   segmentationDetector: SegmentationDetector|null|undefined,
+     *   videoCanvas: HTMLCanvasElement
+     * }} options Options to use. If no canvas is specified, then a detached one is created. The video canvas is
+     *            required, as it is the canvas of the VideoRenderer, from which frames are captured for the Detectors,
+     *            and it is used to determine the size of those frames. If a `segmentationDetector` is specified, then
+     *            its masks are used to hide the assets behind the hair and hands. See {@link updateOccluder}.
      */
-    constructor(mesh) {
-        super(document.getElementById("jellron-keypoint-canvas"));
+    constructor(people, options) {
+        validateDefined(options);
+
+        super(options.canvas ?? document.createElement("canvas"));
 
-        validateInstanceOf(mesh, Mesh);
+        validateInstanceOf(people, People);
+        validateInstanceOf(options.videoCanvas, HTMLCanvasElement);
 
-        this.mesh = mesh;
+        this.people = people;
+        this.videoCanvas = options.videoCanvas;
 
         this.displayBody = true;
         this.displayChoker = true;
@@ -29,103 +62,254 @@ export class KeypointRenderer extends Renderer {
         this.displayNecklace = true;
 
         this.minimumConfidence = 0.5;
+
+        this.scene = new Scene();
+
+        this.occluder = null;
+        this.occluderMask = null;
+        this.setSegmentationDetector(options.segmentationDetector ?? null);
+    }
+
+    /** @type Renderer["render"] */
+    render() {
+        const currentTime = performance.now();
+
+        this.updateScene();
+        this.updateOccluder();
+        this.glContext.render(this.scene, this.getCamera());
+
+        this.lastRuntime = performance.now() - currentTime;
+        this.dispatchEvent(new CustomEvent("rendered", {detail: {runtime: this.lastRuntime}}));
     }
 
-    /** @type RunnableInterval["start"] */
-    start() {
-        if (this.intervalId != null) {
-            throw new Error("Already running.");
+    /**
+     * Adds, or removes, the Keypoints of every Mesh to the scene based on their confidence and display settings.
+     *
+     * The Keypoints of people who are no longer present are removed, so that their assets are not left behind.
+     */
+    updateScene() {
+        for (const mesh of this.people.getMeshes()) {
+            if (this.people.isPresent(mesh)) {
+                this.updateMeshScene(mesh);
+            } else {
+                this.removeMeshScene(mesh);
+            }
         }
+    }
 
-        const scene = new Scene();
-        const videoCanvas = document.getElementById("jellron-video-canvas");
+    /**
+     * Removes all the Keypoints of a Mesh from the scene.
+     *
+     * @param {Mesh} mesh Mesh whose Keypoints should be removed.
+     */
+    removeMeshScene(mesh) {
+        const keypoints = [
+            ...mesh.getBodyKeypoints(),
+            ...mesh.getFaceKeypoints(),
+            ...mesh.getHandKeypoints(),
+            ...mesh.getEarlobeKeypoints(),
+            mesh.getChokerKeypoint(),
+            mesh.getNecklaceKeypoint()
+        ];
+
+        for (const keypoint of keypoints) {
+            if (keypoint != null) {
+                this.scene.remove(keypoint.getMesh());
+            }
+        }
+    }
 
-        this.dispatchEvent(new CustomEvent("started"));
-        this.intervalId = setInterval(async () => {
-            const currentTime = performance.now();
+    /**
+     * Adds, or removes, the Keypoints of a Mesh to the scene based on their confidence and display settings.
+     *
+     * @param {Mesh} mesh Mesh whose Keypoints should be added, or removed.
+     */
+    updateMeshScene(mesh) {
+        for (const keypoint of mesh.getBodyKeypoints()) {
+            if (keypoint == null) {
+                continue;
+            }
 
-            for (const keypoint of this.mesh.getBodyKeypoints()) {
-                if (keypoint == null) {
-                    continue;
-                }
+            if (this.displayBody) {
+                this.placePoint(this.scene, keypoint);
+            } else {
+                this.scene.remove(keypoint.getMesh());
+            }
+        }
 
-                if (this.displayBody) {
-                    this.placePoint(scene, keypoint);
-                } else {
-                    scene.remove(keypoint.getMesh());
-                }
+        for (const keypoint of mesh.getFaceKeypoints()) {
+            if (keypoint == null) {
+                continue;
             }
 
-            for (const keypoint of this.mesh.getFaceKeypoints()) {
-                if (keypoint == null) {
-                    continue;
-                }
+            if (this.displayFace) {
+                this.placePoint(this.scene, keypoint);
+            } else {
+                this.scene.remove(keypoint.getMesh());
+            }
+        }
 
-                if (this.displayFace) {
-                    this.placePoint(scene, keypoint);
-                } else {
-                    scene.remove(keypoint.getMesh());
-                }
+        for (const keypoint of mesh.getHandKeypoints()) {
+            if (keypoint == null) {
+                continue;
             }
 
-            for (const keypoint of this.mesh.getHandKeypoints()) {
-                if (keypoint == null) {
-                    continue;
-                }
+            if (this.displayHands) {
+                this.placePoint(this.scene, keypoint);
+            } else {
+                this.scene.remove(keypoint.getMesh());
+            }
+        }
 
-                if (this.displayHands) {
-                    this.placePoint(scene, keypoint);
-                } else {
-                    scene.remove(keypoint.getMesh());
-                }
+        const chokerKeyPoint = mesh.getChokerKeypoint();
+        if (chokerKeyPoint != null) {
+            if (this.displayChoker) {
+                this.placePoint(this.scene, chokerKeyPoint);
+            } else {
+                this.scene.remove(chokerKeyPoint.getMesh());
             }
+        }
 
-            const chokerKeyPoint = this.mesh.getChokerKeypoint();
-            if (chokerKeyPoint != null) {
-                if (this.displayChoker) {
-                    this.placePoint(scene, chokerKeyPoint);
-                } else {
-                    scene.remove(chokerKeyPoint.getMesh());
-                }
+        const necklaceKeypoint = mesh.getNecklaceKeypoint();
+        if (necklaceKeypoint != null) {
+            if (this.displayNecklace) {
+                this.placePoint(this.scene, necklaceKeypoint);
+            } else {
+                this.scene.remove(necklaceKeypoint.getMesh());
             }
+        }
 
-            const necklaceKeypoint = this.mesh.getNecklaceKeypoint();
-            if (necklaceKeypoint != null) {
-                if (this.displayNecklace) {
-                    this.placePoint(scene, necklaceKeypoint);
-                } else {
-                    scene.remove(necklaceKeypoint.getMesh());
-                }
+        for (const keypoint of mesh.getEarlobeKeypoints()) {
+            if (keypoint == null) {
+                continue;
             }
 
-            for (const keypoint of this.mesh.getEarlobeKeypoints()) {
-                if (keypoint == null) {
-                    continue;
-                }
+            if (this.displayEarlobes) {
+                this.placePoint(this.scene, keypoint);
+            } else {
+                this.scene.remove(keypoint.getMesh());
+            }
+        }
+    }
 
-                if (this.displayEarlobes) {
-                    this.placePoint(scene, keypoint);
-                } else {
-                    scene.remove(keypoint.getMesh());
-                }
+    /**
+     * Updates the occluder, which hides the parts of the assets that are behind the hair and hands, from the latest
+     * mask of the SegmentationDetector.
+     *
+     * The occluder is a plane in front of every Keypoint, which only writes to the depth buffer, and discards every
+     * pixel that isn't in front of the assets. As the assets are transparent, they are rendered after it, and fail the
+     * depth test wherever it was drawn.
+     *
+     * Pixels in the {@link KeypointRenderer.occludingCategories} are always occluding, while those in the
+     * {@link KeypointRenderer.handOccludingCategories} are only occluding within the bounds of a detected hand. The
+     * occluder is only rebuilt when there is a new mask.
+     */
+    updateOccluder() {
+        const mask = this.segmentationDetector?.getCategoryMask() ?? null;
+        if (mask == null) {
+            if (this.occluder != null) {
+                this.scene.remove(this.occluder);
             }
+            return;
+        }
 
-            this.glContext.render(scene, this.getCamera());
+        if (mask === this.occluderMask) {
+            return;
+        }
 
-            // We set this here because the KeypointRenderer runs at a lower framerate than VideoRenderer.
-            Detector.setCurrentFrame(tf.browser.fromPixels(videoCanvas));
+        // The mask is only marked as applied once the frame has a size, so that it is applied on a later render.
+        const frameWidth = this.videoCanvas.width;
+        const frameHeight = this.videoCanvas.height;
+        if (frameWidth === 0 || frameHeight === 0) {
+            return;
+        }
+        this.occluderMask = mask;
+
+        if (
+            this.occluder == null
+            || this.occluder.material.alphaMap.image.width !== mask.width
+            || this.occluder.material.alphaMap.image.height !== mask.height
+        ) {
+            this.occluder?.material.alphaMap.dispose();
+            this.occluder?.material.dispose();
+
+            const texture = new DataTexture(new Uint8Array(mask.width * mask.height * 4), mask.width, mask.height);
+
+            this.occluder = new SceneMesh(
+                new PlaneGeometry(1, 1),
+                new MeshBasicMaterial({alphaMap: texture, alphaTest: 0.5, colorWrite: false})
+            );
+            this.occluder.renderOrder = -1;
+
+            // Lets the Compositor tell the occluder apart from the Keypoints which aren't displaying an asset.
+            this.occluder.userData.isOccluder = true;
+        }
 
-            this.lastRuntime = performance.now() - currentTime;
-            this.dispatchEvent(new CustomEvent("rendered", {detail: {runtime: this.lastRuntime}}));
-        }, 1000 / KeypointRenderer.fps);
-    }
+        // The plane covers the frame, in the same coordinates as the Keypoints.
+        this.occluder.scale.set(frameWidth, frameHeight, 1);
+        this.occluder.position.set(frameWidth / 2, -frameHeight / 2, KeypointRenderer.occluderZ);
+
+        const mirrored = this.people.getMirrorMode().isEnabled();
+        const scaleX = mask.width / frameWidth;
+        const scaleY = mask.height / frameHeight;
+
+        // The hand Keypoints may be mirrored, while the mask isn't, so their bounds are converted to the mask's pixels.
+        const handBounds = [];
+        for (const mesh of this.people.getPresentMeshes()) {
+            for (const handedness of Mesh.handednesses) {
+                if (!mesh.isHandPresent(handedness)) {
+                    continue;
+                }
 
-    /** Stops the renderer. */
-    stop() {
-        if (this.intervalId != null) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
+                const keypoints = handedness === "left" ? mesh.getLeftHandKeypoints() : mesh.getRightHandKeypoints();
+                const xs = keypoints.map(keypoint => {
+                    return (mirrored ? frameWidth - keypoint.getX() : keypoint.getX()) * scaleX;
+                });
+                const ys = keypoints.map(keypoint => keypoint.getY() * scaleY);
+
+                const paddingX = (Math.max(...xs) - Math.min(...xs)) * KeypointRenderer.handBoundsPadding;
+                const paddingY = (Math.max(...ys) - Math.min(...ys)) * KeypointRenderer.handBoundsPadding;
+                handBounds.push({
+                    xMin: Math.min(...xs) - paddingX,
+                    xMax: Math.max(...xs) + paddingX,
+                    yMin: Math.min(...ys) - paddingY,
+                    yMax: Math.max(...ys) + paddingY
+                });
+            }
         }
+
+        const toValues = categories => categories.map(category => SegmentationDetector.categories.indexOf(category));
+        const occludingValues = toValues(KeypointRenderer.occludingCategories);
+        const handOccludingValues = toValues(KeypointRenderer.handOccludingCategories);
+
+        const isInHand = (x, y) => handBounds.some(bounds => {
+            return x >= bounds.xMin && x <= bounds.xMax && y >= bounds.yMin && y <= bounds.yMax;
+        });
+
+        /*
+         * The rows of the texture run from the bottom of the plane to the top, and its columns follow the video, so the
+         * mask is flipped vertically, and horizontally if the video is mirrored.
+         */
+        const texture = this.occluder.material.alphaMap;
+        const data = texture.image.data;
+        for (let y = 0 ; y < mask.height ; y++) {
+            for (let x = 0 ; x < mask.width ; x++) {
+                const category = mask.categories[y * mask.width + x];
+
+                let isOccluding = occludingValues.includes(category);
+                if (!isOccluding && handBounds.length > 0 && handOccludingValues.includes(category)) {
+                    isOccluding = isInHand(x, y);
+                }
+
+                const textureX = mirrored ? mask.width - 1 - x : x;
+                const textureY = mask.height - 1 - y;
+                const index = (textureY * mask.width + textureX) * 4;
+                data.fill(isOccluding ? 255 : 0, index, index + 4);
+            }
+        }
+        texture.needsUpdate = true;
+
+        this.scene.add(this.occluder);
     }
 
     /**
@@ -136,7 +320,9 @@ export class KeypointRenderer extends Renderer {
     display2DNecklace( url) {
         validateNonEmptyString(url);
 
-        this.mesh.getNecklaceKeypoint().display2DAsset(url);
+        for (const mesh of this.people.getMeshes()) {
+            mesh.getNecklaceKeypoint().display2DAsset(url);
+        }
     }
 
     /**
@@ -149,7 +335,9 @@ export class KeypointRenderer extends Renderer {
         validateNonEmptyString(url);
         validateBoolean(isLeft);
 
-        this.mesh.getEarlobeKeypoints()[isLeft ? 0 : 1].display2DAsset(url);
+        for (const mesh of this.people.getMeshes()) {
+            mesh.getEarlobeKeypoints()[isLeft ? 0 : 1].display2DAsset(url);
+        }
     }
 
     /**
@@ -170,12 +358,27 @@ export class KeypointRenderer extends Renderer {
     }
 
     /**
-     * Retrieves the most recent runtime of the renderer, in milliseconds.
+     * Retrieves the scene containing the Keypoints.
+     *
+     * @returns {Scene} Scene containing the Keypoints.
+     */
+    getScene() {
+        return this.scene;
+    }
+
+    /**
+     * Sets the SegmentationDetector whose masks are used to hide the assets behind the hair and hands.
      *
-     * @returns {number} Most recent runtime of the renderer, in milliseconds.
+     * @param {SegmentationDetector|null} segmentationDetector SegmentationDetector to use, or null to stop hiding the
+     *                                                         assets.
      */
-    getLastRuntime() {
-        return this.lastRuntime;
+    setSegmentationDetector(segmentationDetector) {
+        if (segmentationDetector != null) {
+            validateInstanceOf(segmentationDetector, SegmentationDetector);
+        }
+
+        this.segmentationDetector = segmentationDetector;
+        this.occluderMask = null;
     }
 
     /**
@@ -237,16 +440,4 @@ export class KeypointRenderer extends Renderer {
         validateBoolean(displayNecklace)
         this.displayNecklace = displayNecklace;
     }
-
-    /**
-     * Updates the size of the canvas.
-     *
-     * @param {number} width New width of the canvas.
-     * @param {number} height New height of the canvas.
-     */
-    setSize(width, height) {
-        validatePositiveNumber(width);
-        validatePositiveNumber(height);
-        this.glContext.setSize(width, height, false);
-    }
 }
\ No newline at end of file
@@ -0,0 +1,145 @@
+import {Compositor} from "./compositor.js";
+import {Runnable} from "../runnable.js";
+import {validateBoolean, validateDefined, validateInstanceOf, validatePositiveNumber} from "../utility/validation.js";
+
+/**
+ * Records the output of a Compositor, the video and the Keypoints, to a WebM video.
+ *
+ * The Compositor is drawn on its own interval, rather than by reading the VideoRenderer's and KeypointRenderer's
+ * canvases, so the recording is unaffected when those canvases are resized.
+ */
+export class Recorder extends Runnable {
+    /** Default number of frames per second. */
+    static defaultFps = 30;
+
+    /** WebM MIME types to record with, in order of preference. */
+    static mimeTypes = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+    /**
+     * Creates a new Recorder.
+     *
+     * @param {Compositor} compositor Compositor whose output should be recorded.
+     * @param {{
+     *   fps: number|undefined,
+     *   includeDebugKeypoints: boolean|undefined,
+     *   videoBitsPerSecond: number|undefined
+     * }} options Options to use.
+     */
+    constructor(compositor, options = {}) {
+        super();
+
+        validateInstanceOf(compositor, Compositor);
+        validateDefined(options);
+
+        this.fps = options.fps ?? Recorder.defaultFps;
+        validatePositiveNumber(this.fps);
+
+        this.includeDebugKeypoints = options.includeDebugKeypoints ?? true;
+        validateBoolean(this.includeDebugKeypoints);
+
+        if (options.videoBitsPerSecond != null) {
+            validatePositiveNumber(options.videoBitsPerSecond);
+        }
+
+        this.compositor = compositor;
+        this.intervalId = null;
+        this.mediaRecorder = null;
+        this.videoBitsPerSecond = options.videoBitsPerSecond;
+    }
+
+    /**
+     * Retrieves the first supported WebM MIME type.
+     *
+     * @returns {string|null} The MIME type, or null if the browser cannot record WebM videos.
+     */
+    static getSupportedMimeType() {
+        if (typeof MediaRecorder === "undefined") {
+            return null;
+        }
+
+        return Recorder.mimeTypes.find(mimeType => MediaRecorder.isTypeSupported(mimeType)) ?? null;
+    }
+
+    /**
+     * @type Runnable["start"]
+     * @throws {Error} If the browser cannot record WebM videos, or if the video has no frame to draw.
+     */
+    start() {
+        if (this.running) {
+            throw new Error("Already running.");
+        }
+
+        const mimeType = Recorder.getSupportedMimeType();
+        if (mimeType == null) {
+            throw new Error("This browser does not support recording WebM videos.");
+        }
+
+        // The first frame is drawn immediately, so that the stream has the correct size when recording starts.
+        const canvas = this.compositor.composite(this.includeDebugKeypoints);
+        const stream = canvas.captureStream(this.fps);
+
+        const chunks = [];
+        const mediaRecorder = this.mediaRecorder = new MediaRecorder(stream, {
+            mimeType: mimeType,
+            videoBitsPerSecond: this.videoBitsPerSecond
+        });
+        mediaRecorder.ondataavailable = e => {
+            if (e.data.size > 0) {
+                chunks.push(e.data);
+            }
+        };
+        mediaRecorder.onstop = () => {
+            stream.getTracks().forEach(track => track.stop());
+
+            const blob = new Blob(chunks, {type: mimeType});
+            this.dispatchEvent(new CustomEvent("stopped", {detail: {blob: blob}}));
+        };
+        mediaRecorder.start();
+
+        super.start();
+
+        // The recording runs at its own rate, rather than once per display frame, so it has its own interval.
+        this.intervalId = setInterval(() => {
+            const currentTime = performance.now();
+
+            try {
+                this.compositor.composite(this.includeDebugKeypoints);
+            } catch (error) {
+                // The video has no frame to draw, such as while the source is being changed, so the frame is skipped.
+                return;
+            }
+
+            this.lastRuntime = performance.now() - currentTime;
+            this.dispatchEvent(new CustomEvent("rendered", {detail: {runtime: this.lastRuntime}}));
+        }, 1000 / this.fps);
+    }
+
+    /**
+     * Stops recording.
+     *
+     * The `stopped` event is dispatched, with the recorded video, once the browser has finished encoding it.
+     */
+    stop() {
+        if (!this.running) {
+            return;
+        }
+
+        this.running = false;
+
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+
+        this.mediaRecorder.stop();
+        this.mediaRecorder = null;
+    }
+
+    /**
+     * Sets whether Keypoints which are not displaying an asset should be recorded.
+     *
+     * @param {boolean} includeDebugKeypoints Whether Keypoints which are not displaying an asset should be recorded.
+     */
+    setIncludeDebugKeypoints(includeDebugKeypoints) {
+        validateBoolean(includeDebugKeypoints);
+        this.includeDebugKeypoints = includeDebugKeypoints;
+    }
+}
\ No newline at end of file
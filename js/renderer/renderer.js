@@ -1,8 +1,8 @@
-import {RunnableInterval} from "../runnable_interval.js";
+import {Runnable} from "../runnable.js";
 import {OrthographicCamera, WebGLRenderer} from "three";
 import {validateDefined, validateInstanceOf, validatePositiveNumber} from "../utility/validation.js";
 
-export class Renderer extends RunnableInterval {
+export class Renderer extends Runnable {
     /**
      * Creates a new Renderer.
      *
@@ -13,6 +13,15 @@ export class Renderer extends RunnableInterval {
         this.setCanvas(canvas);
     }
 
+    /**
+     * Renders a single frame, and dispatches a `rendered` event.
+     *
+     * While the Renderer is running, the Scheduler calls this once per display frame.
+     */
+    render() {
+        throw new Error("Not implemented.");
+    }
+
     /**
      * Retrieves the camera to use for rendering.
      *
@@ -88,6 +97,10 @@ export class Renderer extends RunnableInterval {
         validatePositiveNumber(width);
         validatePositiveNumber(height);
         this.glContext.setSize(width, height, false);
+
+        // The camera covers the previous size of the canvas, so it must be recreated to cover the new size.
+        this.camera = null;
+
         this.dispatchEvent(new CustomEvent("resized", {detail: {width: width, height: height}}));
     }
 }
\ No newline at end of file
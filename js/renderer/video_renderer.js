@@ -1,45 +1,44 @@
+import {MirrorMode} from "../mirror_mode.js";
 import {Renderer} from "./renderer.js";
 import {FrontSide, Mesh, MeshBasicMaterial, PlaneGeometry, Scene, SRGBColorSpace, VideoTexture} from "three";
+import {validateDefined, validateInstanceOf} from "../utility/validation.js";
 
 export class VideoRenderer extends Renderer {
-    /** Desired number of frames per second. */
-    static fps = 60;
-
-    /** Singleton instance of the VideoRenderer. */
-    static instance = null;
-
     /**
-     * Constructs a new VideoRenderer, or returns the existing singleton instance if it already exists.
+     * Constructs a new VideoRenderer.
      *
-     * @returns {VideoRenderer} VideoRenderer instance.
+     * @param {HTMLVideoElement} video Video element to render.
+     * @param {{
+     *   canvas: HTMLCanvasElement|undefined,
+     *   mirrorMode: MirrorMode|undefined
+     * }} options Options to use. If no canvas is specified, then a detached one is created. The mirror mode should be
+     *            shared with the Mesh, so that the video and the Keypoints are flipped together.
      */
-    constructor() {
-        if (VideoRenderer.instance) {
-            return VideoRenderer.instance;
-        }
+    constructor(video, options = {}) {
+        validateInstanceOf(video, HTMLVideoElement);
+        validateDefined(options);
 
-        super(document.getElementById("jellron-video-canvas"));
-        this.video = document.getElementById("jellron-video");
-    }
+        const mirrorMode = options.mirrorMode ?? new MirrorMode();
+        validateInstanceOf(mirrorMode, MirrorMode);
 
-    /** @type RunnableInterval["start"] */
-    start() {
-        if (this.intervalId != null) {
-            throw new Error("Already running.");
-        }
+        super(options.canvas ?? document.createElement("canvas"));
+        this.video = video;
+
+        this.mirrorMode = mirrorMode;
+        this.mirrorMode.addEventListener("changed", () => this.updateMirroring());
 
-        const scene = new Scene();
-        scene.add(this.getMesh());
+        this.scene = new Scene();
+        this.scene.add(this.getMesh());
+    }
 
-        this.dispatchEvent(new CustomEvent("started"));
-        this.intervalId = setInterval(() => {
-            const currentTime = performance.now();
+    /** @type Renderer["render"] */
+    render() {
+        const currentTime = performance.now();
 
-            this.glContext.render(scene, this.getCamera());
+        this.glContext.render(this.scene, this.getCamera());
 
-            this.lastRuntime = performance.now() - currentTime;
-            this.dispatchEvent(new CustomEvent("rendered", {detail: {runtime: this.lastRuntime}}));
-        }, 1000 / VideoRenderer.fps);
+        this.lastRuntime = performance.now() - currentTime;
+        this.dispatchEvent(new CustomEvent("rendered", {detail: {runtime: this.lastRuntime}}));
     }
 
     /**
@@ -52,8 +51,9 @@ export class VideoRenderer extends Renderer {
             return this.mesh;
         }
 
-        const texture = new VideoTexture(this.video);
+        const texture = this.texture = new VideoTexture(this.video);
         texture.colorSpace = SRGBColorSpace;
+        this.updateMirroring();
 
         const material = new MeshBasicMaterial({
             map: texture,
@@ -61,15 +61,58 @@ export class VideoRenderer extends Renderer {
             transparent: true
         });
 
-        const mesh = this.mesh = new Mesh(
-            new PlaneGeometry(this.canvas.scrollWidth, this.canvas.scrollHeight),
-            material
-        );
+        const mesh = this.mesh = new Mesh(new PlaneGeometry(), material);
+        this.updateMeshSize();
+
+        return mesh;
+    }
+
+    /**
+     * Retrieves the mirror mode applied to the video.
+     *
+     * @returns {MirrorMode} Mirror mode applied to the video.
+     */
+    getMirrorMode() {
+        return this.mirrorMode;
+    }
+
+    /**
+     * Retrieves the video element being rendered.
+     *
+     * @returns {HTMLVideoElement} Video element being rendered.
+     */
+    getVideo() {
+        return this.video;
+    }
+
+    /** @type Renderer["setSize"] */
+    setSize(width, height) {
+        super.setSize(width, height);
+        this.updateMeshSize();
+    }
+
+    /** Resizes the mesh to cover the canvas. */
+    updateMeshSize() {
+        if (this.mesh == null) {
+            return;
+        }
+
+        this.mesh.geometry.dispose();
+        this.mesh.geometry = new PlaneGeometry(this.canvas.width, this.canvas.height);
 
         // todo Determine why we need to apply an offset.
-        mesh.position.x += this.video.scrollWidth / 2;
-        mesh.position.y -= this.video.scrollHeight / 2;
+        this.mesh.position.x = this.canvas.width / 2;
+        this.mesh.position.y = -this.canvas.height / 2;
+    }
 
-        return mesh;
+    /** Flips the video texture horizontally, if the mirror mode is enabled. */
+    updateMirroring() {
+        if (this.texture == null) {
+            return;
+        }
+
+        const isEnabled = this.mirrorMode.isEnabled();
+        this.texture.offset.x = isEnabled ? 1 : 0;
+        this.texture.repeat.x = isEnabled ? -1 : 1;
     }
 }
\ No newline at end of file
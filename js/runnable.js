@@ -0,0 +1,55 @@
+/**
+ * Something which can be started and stopped, such as a Detector or a Renderer.
+ *
+ * A Runnable does not decide when it runs. While it is running, the Scheduler runs it whenever there is a new frame to
+ * process or display.
+ */
+export class Runnable extends EventTarget {
+    /** Creates a new Runnable. */
+    constructor() {
+        super();
+
+        this.lastRuntime = 0;
+        this.running = false;
+    }
+
+    /**
+     * Starts the Runnable.
+     *
+     * @throws {Error} If the Runnable is already running.
+     */
+    start() {
+        if (this.running) {
+            throw new Error("Already running.");
+        }
+
+        this.running = true;
+        this.dispatchEvent(new CustomEvent("started"));
+    }
+
+    /** Stops the Runnable. */
+    stop() {
+        if (this.running) {
+            this.running = false;
+            this.dispatchEvent(new CustomEvent("stopped"));
+        }
+    }
+
+    /**
+     * Determines whether the Runnable is currently running.
+     *
+     * @returns {boolean} Whether the Runnable is currently running.
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Retrieves the most recent runtime of the Runnable, in milliseconds.
+     *
+     * @returns {number} Most recent runtime of the Runnable, in milliseconds.
+     */
+    getLastRuntime() {
+        return this.lastRuntime;
+    }
+}
\ No newline at end of file
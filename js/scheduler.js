@@ -0,0 +1,179 @@
+import {Detector} from "./detector/detector.js";
+import {DetectorError} from "./detector/detector_error.js";
+import {Frame} from "./frame.js";
+import {Renderer} from "./renderer/renderer.js";
+import {Runnable} from "./runnable.js";
+import {VideoRenderer} from "./renderer/video_renderer.js";
+import {validateInstanceOf} from "./utility/validation.js";
+
+/**
+ * Drives the Renderers and Detectors from a single loop, rather than each running on its own interval.
+ *
+ * Once per display frame, the VideoRenderer is rendered and, if the video has a new frame, that frame is captured and
+ * given to every Detector which is due to run. Each Detector runs at its own fps, and is skipped while it is still
+ * processing a previous frame or reloading its model. Finally, the remaining Renderers are rendered.
+ */
+export class Scheduler extends Runnable {
+    /**
+     * Creates a new Scheduler.
+     *
+     * @param {VideoRenderer} videoRenderer VideoRenderer whose canvas the frames are captured from.
+     */
+    constructor(videoRenderer) {
+        super();
+
+        validateInstanceOf(videoRenderer, VideoRenderer);
+
+        this.animationFrameId = null;
+        this.detectors = [];
+        this.lastDetectionTimes = new Map();
+        this.renderers = [];
+        this.videoRenderer = videoRenderer;
+
+        /*
+         * Browsers which support `requestVideoFrameCallback` tell us when the video has a new frame, so that we don't
+         * run the Detectors on the same frame twice. Otherwise, we have to assume that every display frame is new.
+         */
+        this.supportsVideoFrameCallback = "requestVideoFrameCallback" in HTMLVideoElement.prototype;
+        this.hasNewVideoFrame = true;
+        this.videoFrameCallbackId = null;
+        this.onVideoFrame = () => {
+            this.hasNewVideoFrame = true;
+            this.videoFrameCallbackId = this.videoRenderer.getVideo().requestVideoFrameCallback(this.onVideoFrame);
+        };
+    }
+
+    /** @type Runnable["start"] */
+    start() {
+        super.start();
+
+        if (this.supportsVideoFrameCallback) {
+            this.videoFrameCallbackId = this.videoRenderer.getVideo().requestVideoFrameCallback(this.onVideoFrame);
+        }
+
+        this.animationFrameId = requestAnimationFrame(() => this.tick());
+    }
+
+    /** @type Runnable["stop"] */
+    stop() {
+        cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = null;
+
+        if (this.videoFrameCallbackId != null) {
+            this.videoRenderer.getVideo().cancelVideoFrameCallback(this.videoFrameCallbackId);
+            this.videoFrameCallbackId = null;
+        }
+
+        super.stop();
+    }
+
+    /** Runs everything which is due on the current display frame, then schedules the next display frame. */
+    tick() {
+        this.animationFrameId = requestAnimationFrame(() => this.tick());
+
+        const currentTime = performance.now();
+
+        if (this.videoRenderer.isRunning()) {
+            this.videoRenderer.render();
+
+            if (this.hasNewVideoFrame) {
+                this.runDetectors(currentTime);
+            }
+        }
+
+        for (const renderer of this.renderers) {
+            if (renderer.isRunning()) {
+                renderer.render();
+            }
+        }
+
+        this.lastRuntime = performance.now() - currentTime;
+    }
+
+    /**
+     * Captures a frame from the video canvas, and gives it to every Detector which is due to run.
+     *
+     * The frame is only captured if at least one Detector is due, and it is disposed once they have all finished.
+     *
+     * @param {number} currentTime Time of the current display frame, in milliseconds.
+     */
+    runDetectors(currentTime) {
+        const dueDetectors = this.detectors.filter(detector => {
+            if (!detector.isRunning() || !detector.isReady() || detector.isBusy()) {
+                return false;
+            }
+
+            const lastDetectionTime = this.lastDetectionTimes.get(detector) ?? -Infinity;
+            return currentTime - lastDetectionTime >= 1000 / detector.getFps();
+        });
+
+        // The video's new frame is kept until a Detector is due, so that it isn't missed between display frames.
+        if (dueDetectors.length === 0) {
+            return;
+        }
+
+        const canvas = this.videoRenderer.getCanvas();
+        if (canvas.width === 0 || canvas.height === 0) {
+            return;
+        }
+
+        const frame = new Frame(canvas, this.videoRenderer.getMirrorMode().isEnabled());
+        this.hasNewVideoFrame = !this.supportsVideoFrameCallback;
+
+        for (const detector of dueDetectors) {
+            this.lastDetectionTimes.set(detector, currentTime);
+            // Detectors report their own errors, so this only catches any which escape them.
+            detector.run(frame).catch(error => {
+                detector.dispatchError(new DetectorError("The detector failed to run.", error));
+            });
+        }
+
+        // Each Detector retains the frame while it runs, so we can release our reference immediately.
+        frame.release();
+    }
+
+    /**
+     * Adds a Detector to be run on new frames.
+     *
+     * @param {Detector} detector Detector to add.
+     */
+    addDetector(detector) {
+        validateInstanceOf(detector, Detector);
+
+        if (!this.detectors.includes(detector)) {
+            this.detectors.push(detector);
+        }
+    }
+
+    /**
+     * Adds a Renderer to be rendered once per display frame, after the VideoRenderer.
+     *
+     * @param {Renderer} renderer Renderer to add.
+     */
+    addRenderer(renderer) {
+        validateInstanceOf(renderer, Renderer);
+
+        if (renderer !== this.videoRenderer && !this.renderers.includes(renderer)) {
+            this.renderers.push(renderer);
+        }
+    }
+
+    /**
+     * Removes a Detector, so that it is no longer run.
+     *
+     * @param {Detector} detector Detector to remove.
+     */
+    removeDetector(detector) {
+        this.detectors = this.detectors.filter(other => other !== detector);
+        this.lastDetectionTimes.delete(detector);
+    }
+
+    /**
+     * Removes a Renderer, so that it is no longer rendered.
+     *
+     * @param {Renderer} renderer Renderer to remove.
+     */
+    removeRenderer(renderer) {
+        this.renderers = this.renderers.filter(other => other !== renderer);
+    }
+}
\ No newline at end of file
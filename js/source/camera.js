@@ -0,0 +1,441 @@
+import {VideoSource} from "./video_source.js";
+import {validateDefined, validateString} from "../utility/validation.js";
+
+export class Camera extends VideoSource {
+    /** Names of the constraints which can be specified when creating a Camera. */
+    static supportedConstraints = ["aspectRatio", "facingMode", "frameRate", "height", "width"];
+
+    /** Names of the hardware controls which accept a number within a range. */
+    static rangeControls = ["colorTemperature", "exposureCompensation", "focusDistance", "zoom"];
+
+    /** Names of the hardware controls which accept one of a list of modes. */
+    static modeControls = ["exposureMode", "focusMode", "whiteBalanceMode"];
+
+    /** Names of the hardware controls which accept a boolean. */
+    static toggleControls = ["torch"];
+
+    /**
+     * Creates a new Camera object.
+     *
+     * Each constraint accepts either an exact value, which the browser treats as an ideal, or a constraint object such
+     * as `{min: 720, ideal: 1080}`. See https://developer.mozilla.org/en-US/docs/Web/API/MediaTrackConstraints for
+     * more information.
+     *
+     * @param {string} deviceId ID of the video input device to use.
+     * @param {{
+     *   constraints: {
+     *     aspectRatio: number|object|undefined,
+     *     facingMode: string|object|undefined,
+     *     frameRate: number|object|undefined,
+     *     height: number|object|undefined,
+     *     width: number|object|undefined
+     *   }|undefined,
+     *   container: HTMLElement|undefined,
+     *   videoElement: HTMLVideoElement|undefined
+     * }} options Options to use when opening the video input device. See {@link VideoSource} for the elements.
+     */
+    constructor(deviceId, options = {}) {
+        validateDefined(options);
+
+        super(options);
+
+        this.deviceId = deviceId;
+        this.constraints = options.constraints ?? {};
+
+        for (const name of Object.keys(this.constraints)) {
+            if (!Camera.supportedConstraints.includes(name)) {
+                throw new Error(`Unsupported constraint: ${name}`);
+            }
+        }
+
+        this.controls = {};
+        this.device = null;
+        this.deviceRequest = null;
+        this.deviceRequestId = 0;
+        this.height = null;
+        this.onVideoResize = null;
+        this.width = null;
+    }
+
+    /**
+     * @type VideoSource["close"]
+     *
+     * A Camera which is still waiting for its device is also closed, so that the device is released once it arrives.
+     */
+    close() {
+        if (!this.isOpen()) {
+            this.releaseSource();
+            return;
+        }
+
+        super.close();
+    }
+
+    /**
+     * Updates the `height`, `srcObject`, and `width` properties of the video element associated with this Camera.
+     *
+     * @returns {Promise<void>} A promise that resolves when the video element has been updated.
+     */
+    async updateVideoElement() {
+        if (this.videoElement == null) {
+            return;
+        }
+
+        const device = await this.getVideoInputDevice();
+        if (this.videoElement.srcObject !== device) {
+            this.videoElement.srcObject = device;
+
+            /*
+             * The negotiated size of the stream can change while it is playing. For example, when a phone is rotated
+             * or when the browser adapts the resolution to the available bandwidth.
+             */
+            this.onVideoResize ??= async () => await this.updateMediaStreamSize();
+            this.videoElement.addEventListener("resize", this.onVideoResize);
+        }
+
+        await this.updateMediaStreamSize();
+        this.resizeVideoElement(this.width, this.height);
+    }
+
+    /**
+     * Retrieves the ID of the video input device used by this Camera.
+     *
+     * @returns {string} ID of the video input device.
+     */
+    getDeviceId() {
+        return this.deviceId;
+    }
+
+    /**
+     * Switches this Camera to a different video input device.
+     *
+     * If the Camera is open, then it is closed and re-opened with the new device. This dispatches the `closing`,
+     * `closed`, and `opened` events, in that order.
+     *
+     * @param {string} deviceId ID of the video input device to switch to.
+     * @returns {Promise<void>} A promise that resolves when the Camera has switched devices.
+     */
+    async switchDevice(deviceId) {
+        validateString(deviceId);
+
+        if (deviceId === this.deviceId) {
+            return;
+        }
+
+        const wasOpen = this.isOpen();
+        this.close();
+
+        this.deviceId = deviceId;
+
+        if (wasOpen) {
+            await this.open();
+        }
+    }
+
+    /**
+     * Retrieves the hardware controls of the video input device, such as its zoom and focus, and their current values.
+     *
+     * Each control is described by an object with an `available` property, which is false if the device, or the
+     * browser, does not support it, and a `value` property. Range controls also have `min`, `max`, and `step`
+     * properties, and mode controls have an `options` property listing the supported modes.
+     *
+     * The controls are read from the open device, so the Camera must be open.
+     *
+     * @returns {Promise<Object<string, {
+     *   available: boolean,
+     *   max: number|undefined,
+     *   min: number|undefined,
+     *   options: string[]|undefined,
+     *   step: number|undefined,
+     *   value: number|string|boolean|undefined
+     * }>|null>} A promise that resolves to the controls, keyed by name, or null if the Camera is not open.
+     */
+    async getControls() {
+        // Retrieving the device would open it, so a closed Camera has no controls to read.
+        if (this.device == null) {
+            return null;
+        }
+
+        const track = this.device.getVideoTracks()[0];
+
+        // Firefox does not support `getCapabilities`, so no controls are available.
+        const capabilities = track.getCapabilities?.() ?? {};
+        const settings = track.getSettings();
+
+        const controls = {};
+        for (const name of Camera.rangeControls) {
+            const capability = capabilities[name];
+            controls[name] = {
+                available: capability?.max != null && capability.max > capability.min,
+                max: capability?.max,
+                min: capability?.min,
+                step: capability?.step,
+                value: settings[name]
+            };
+        }
+
+        for (const name of Camera.modeControls) {
+            const options = capabilities[name] ?? [];
+            controls[name] = {
+                available: options.length > 0,
+                options: options,
+                value: settings[name]
+            };
+        }
+
+        for (const name of Camera.toggleControls) {
+            controls[name] = {
+                available: capabilities[name] === true,
+                value: settings[name]
+            };
+        }
+
+        return controls;
+    }
+
+    /**
+     * Applies values to the hardware controls of the video input device.
+     *
+     * The values are remembered, and re-applied whenever the Camera is re-opened or switches devices. Values which the
+     * device does not support, or which are outside the range or list of modes that it supports, are skipped.
+     *
+     * @param {Object<string, number|string|boolean>} values Values to apply, keyed by the name of the control.
+     * @throws {Error} If a value is given for an unknown control.
+     *
+     * @returns {Promise<string[]>} A promise that resolves to the names of the controls which could not be applied.
+     */
+    async setControls(values) {
+        validateDefined(values);
+
+        const names = [...Camera.rangeControls, ...Camera.modeControls, ...Camera.toggleControls];
+        for (const name of Object.keys(values)) {
+            if (!names.includes(name)) {
+                throw new Error(`Unknown control: ${name}`);
+            }
+        }
+
+        this.controls = {...this.controls, ...values};
+
+        if (this.device == null) {
+            return [];
+        }
+
+        return await this.applyControls(values);
+    }
+
+    /**
+     * Applies values to the hardware controls of the video input device, skipping those which it does not support.
+     *
+     * Each control is given its own advanced constraint set, so that the browser can skip one that it cannot satisfy
+     * without skipping the rest. The constraints that the Camera was created with are applied alongside them, as
+     * applying constraints replaces all of a track's previous constraints. Controls whose value the device did not
+     * take are reported as not applied. If the constraints are rejected, then an `error` event is dispatched.
+     *
+     * @param {Object<string, number|string|boolean>} values Values to apply, keyed by the name of the control.
+     * @returns {Promise<string[]>} A promise that resolves to the names of the controls which could not be applied.
+     */
+    async applyControls(values) {
+        const controls = await this.getControls();
+        if (controls == null) {
+            return Object.keys(values);
+        }
+
+        const supportedValues = {};
+        const unsupportedNames = [];
+        for (const [name, value] of Object.entries(values)) {
+            const control = controls[name];
+
+            let isSupported = control.available;
+            if (Camera.rangeControls.includes(name)) {
+                isSupported &&= typeof value === "number" && value >= control.min && value <= control.max;
+            } else if (Camera.modeControls.includes(name)) {
+                isSupported &&= control.options.includes(value);
+            } else {
+                isSupported &&= typeof value === "boolean";
+            }
+
+            if (isSupported) {
+                supportedValues[name] = value;
+            } else {
+                unsupportedNames.push(name);
+            }
+        }
+
+        if (Object.keys(supportedValues).length === 0) {
+            return unsupportedNames;
+        }
+
+        const track = this.device.getVideoTracks()[0];
+        try {
+            // Advanced constraint sets are best-effort, rather than rejecting when they can't be met.
+            await track.applyConstraints({
+                ...this.constraints,
+                advanced: Object.entries(supportedValues).map(([name, value]) => ({[name]: value}))
+            });
+        } catch (error) {
+            this.dispatchEvent(new CustomEvent("error", {detail: {error: error}}));
+            return Object.keys(values);
+        }
+
+        // The browser skips the sets that it cannot satisfy, so the settings show which of the values were taken.
+        const settings = track.getSettings();
+        for (const [name, value] of Object.entries(supportedValues)) {
+            const tolerance = typeof value === "number" ? controls[name].step ?? 0 : 0;
+
+            const isApplied = typeof value === "number"
+                ? Math.abs(settings[name] - value) <= tolerance
+                : settings[name] === value;
+            if (!isApplied) {
+                unsupportedNames.push(name);
+            }
+        }
+
+        return unsupportedNames;
+    }
+
+    /**
+     * @type VideoSource["releaseSource"]
+     *
+     * Stopping the tracks releases the video input device, which turns off the device's indicator light.
+     */
+    releaseSource() {
+        this.device?.getVideoTracks().forEach(track => track.stop());
+        this.device = null;
+
+        // Any device which is still being requested is released once it arrives. See {@link requestVideoInputDevice}.
+        this.deviceRequest = null;
+        this.deviceRequestId++;
+
+        this.videoElement?.removeEventListener("resize", this.onVideoResize);
+
+        this.height = null;
+        this.width = null;
+    }
+
+    /**
+     * Updates the recorded size of the MediaStream, using the settings negotiated by the browser.
+     *
+     * If the size has changed, then the video element is resized and a `resized` event is dispatched.
+     *
+     * @returns {Promise<void>} A promise that resolves when the size has been updated.
+     */
+    async updateMediaStreamSize() {
+        // The device isn't retrieved here, as that would open it again after the Camera has been closed.
+        if (this.device == null) {
+            return;
+        }
+
+        const settings = this.device.getVideoTracks()[0].getSettings();
+
+        if (settings.width === this.width && settings.height === this.height) {
+            return;
+        }
+
+        const isInitialSize = this.width == null;
+        this.width = settings.width;
+        this.height = settings.height;
+
+        if (!isInitialSize) {
+            this.resizeVideoElement(this.width, this.height);
+            this.dispatchEvent(new CustomEvent("resized", {detail: {width: this.width, height: this.height}}));
+        }
+    }
+
+    /**
+     * Retrieves the height, in pixels, of the MediaStream stream associated with the video input device of this Camera
+     * object, as negotiated by the browser.
+     *
+     * @returns {Promise<number|null>} A promise that resolves to the height, or null if the Camera is not open.
+     */
+    async getMediaStreamHeight() {
+        if (this.device == null) {
+            return null;
+        }
+
+        if (this.height == null) {
+            await this.updateMediaStreamSize();
+        }
+
+        return this.height;
+    }
+
+    /**
+     * Retrieves the width, in pixels, of the MediaStream stream associated with the video input device of this Camera
+     * object, as negotiated by the browser.
+     *
+     * @returns {Promise<number|null>} A promise that resolves to the width, or null if the Camera is not open.
+     */
+    async getMediaStreamWidth() {
+        if (this.device == null) {
+            return null;
+        }
+
+        if (this.width == null) {
+            await this.updateMediaStreamSize();
+        }
+
+        return this.width;
+    }
+
+    /**
+     * Attempts to retrieve the video input device associated with this Camera object.
+     *
+     * See https://developer.mozilla.org/en-US/docs/Web/API/MediaDevices/getUserMedia for a list of all exceptions.
+     *
+     * @throws {Error} If there is an issue retrieving the video input device.
+     *
+     * @returns {Promise<MediaStream>} A promise that resolves to the video input device with the specified ID.
+     */
+    async getVideoInputDevice() {
+        if (this.device != null) {
+            return this.device;
+        }
+
+        // Overlapping calls, such as opening the Camera again during the permission prompt, share one request.
+        this.deviceRequest ??= this.requestVideoInputDevice();
+        return await this.deviceRequest;
+    }
+
+    /**
+     * Requests the video input device from the browser.
+     *
+     * If the Camera is closed, or switches devices, before the device arrives, then the device is released.
+     *
+     * @throws {Error} If there is an issue retrieving the video input device, or the Camera was closed while waiting.
+     *
+     * @returns {Promise<MediaStream>} A promise that resolves to the video input device with the specified ID.
+     */
+    async requestVideoInputDevice() {
+        const requestId = this.deviceRequestId;
+        const constraints = {...this.constraints};
+
+        // When no device is specified, the browser picks one. This allows `facingMode` to choose the camera.
+        if (this.deviceId != null && this.deviceId !== "") {
+            constraints.deviceId = {exact: this.deviceId};
+        }
+
+        let device;
+        try {
+            device = await navigator.mediaDevices.getUserMedia({video: constraints});
+        } catch (error) {
+            if (requestId === this.deviceRequestId) {
+                this.deviceRequest = null;
+            }
+            throw error;
+        }
+
+        if (requestId !== this.deviceRequestId) {
+            device.getVideoTracks().forEach(track => track.stop());
+            throw new Error("The Camera was closed before its video input device was opened.");
+        }
+
+        this.device = device;
+        this.deviceRequest = null;
+
+        if (Object.keys(this.controls).length > 0) {
+            await this.applyControls(this.controls);
+        }
+
+        return this.device;
+    }
+}
\ No newline at end of file
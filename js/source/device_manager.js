@@ -0,0 +1,143 @@
+/**
+ * Tracks the available video input devices, and the camera permission, and emits events when either changes.
+ *
+ * Events:
+ * - `devicesChanged` - `{devices: MediaDeviceInfo[]}` The new list of video input devices.
+ * - `permissionChanged` - `{state: "granted"|"denied"|"prompt"}` The new state of the camera permission.
+ * - `deviceLost` - `{device: MediaDeviceInfo}` A video input device which is no longer available.
+ */
+export class DeviceManager extends EventTarget {
+    /** Singleton instance of the DeviceManager. */
+    static instance;
+
+    /** Creates a new DeviceManager, or returns the existing one if it already exists. */
+    constructor() {
+        if (DeviceManager.instance) {
+            return DeviceManager.instance;
+        }
+
+        super();
+        DeviceManager.instance = this;
+
+        this.devices = [];
+        this.permissionState = null;
+        this.permissionStatus = null;
+
+        this.onDeviceChange = async () => await this.refresh();
+        this.onPermissionChange = async () => {
+            this.permissionState = this.permissionStatus.state;
+            this.dispatchEvent(new CustomEvent("permissionChanged", {detail: {state: this.permissionState}}));
+
+            // Device labels are only available once permission has been granted, so the list must be refreshed.
+            await this.refresh();
+        };
+    }
+
+    /**
+     * Starts tracking the available video input devices, and the camera permission.
+     *
+     * The user is prompted for permission to use the camera, if they have not already granted it.
+     *
+     * @returns {Promise<void>} A promise that resolves when the initial list of devices has been retrieved.
+     */
+    async start() {
+        await this.requestPermission();
+
+        // Listeners are added, rather than assigned to `onchange` properties, so that we do not clobber anyone else's.
+        navigator.mediaDevices.addEventListener("devicechange", this.onDeviceChange);
+
+        if (this.permissionStatus == null) {
+            try {
+                this.permissionStatus = await navigator.permissions.query({name: "camera"});
+                this.permissionState = this.permissionStatus.state;
+                this.permissionStatus.addEventListener("change", this.onPermissionChange);
+            } catch (e) {
+                // The browser does not support the Permissions API.
+            }
+        }
+
+        await this.refresh();
+    }
+
+    /** Stops tracking the available video input devices, and the camera permission. */
+    stop() {
+        navigator.mediaDevices.removeEventListener("devicechange", this.onDeviceChange);
+
+        this.permissionStatus?.removeEventListener("change", this.onPermissionChange);
+        this.permissionStatus = null;
+    }
+
+    /**
+     * Prompts the user for permission to use the camera.
+     *
+     * @returns {Promise<void>} A promise that resolves when the user has responded to the prompt.
+     */
+    async requestPermission() {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({video: true});
+
+            // We only needed the stream to trigger the prompt, so we release it to turn off the camera.
+            stream.getTracks().forEach(track => track.stop());
+        } catch (error) {
+            if (error.name === "NotReadableError") {
+                /*
+                 * This occurs when the camera is already in-use by another application. For example, if OBS is open
+                 * and using it before the browser page is opened. After some testing, it appears as though we can
+                 * swallow this error and the list of devices will still be populated with the available devices and
+                 * they can be selected and used.
+                 */
+            }
+        }
+    }
+
+    /**
+     * Retrieves the list of available video input devices, and emits the `devicesChanged` and `deviceLost` events if
+     * it differs from the previous list.
+     *
+     * @returns {Promise<void>} A promise that resolves when the list has been retrieved.
+     */
+    async refresh() {
+        const previousDevices = this.devices;
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        this.devices = devices.filter(device => device.kind === "videoinput");
+
+        const toKey = device => device.deviceId + ":" + device.label;
+        const previousKeys = previousDevices.map(toKey).join();
+        if (previousKeys === this.devices.map(toKey).join() && previousKeys !== "") {
+            return;
+        }
+
+        this.dispatchEvent(new CustomEvent("devicesChanged", {detail: {devices: this.devices}}));
+
+        for (const device of previousDevices) {
+            // Devices have no ID until the user grants permission to use the camera, so they cannot be matched.
+            if (device.deviceId === "") {
+                continue;
+            }
+
+            if (!this.devices.some(newDevice => newDevice.deviceId === device.deviceId)) {
+                this.dispatchEvent(new CustomEvent("deviceLost", {detail: {device: device}}));
+            }
+        }
+    }
+
+    /**
+     * Retrieves the most recent list of available video input devices.
+     *
+     * @returns {MediaDeviceInfo[]} List of available video input devices.
+     */
+    getDevices() {
+        return this.devices;
+    }
+
+    /**
+     * Retrieves the most recent state of the camera permission.
+     *
+     * @returns {"granted"|"denied"|"prompt"|null} State of the camera permission, or null if the browser does not
+     *                                             support the Permissions API.
+     */
+    getPermissionState() {
+        return this.permissionState;
+    }
+}
\ No newline at end of file
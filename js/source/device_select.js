@@ -0,0 +1,86 @@
+import {DeviceManager} from "./device_manager.js";
+import {validateInstanceOf, validateNonEmptyString, validateString} from "../utility/validation.js";
+
+/**
+ * Optional helper which keeps a select element populated with the video input devices tracked by a DeviceManager.
+ *
+ * An `updated` event is dispatched on the select element whenever it is repopulated.
+ */
+export class DeviceSelect {
+    /**
+     * Creates a new DeviceSelect.
+     *
+     * @param {DeviceManager} deviceManager DeviceManager whose devices should be listed.
+     */
+    constructor(deviceManager = new DeviceManager()) {
+        validateInstanceOf(deviceManager, DeviceManager);
+
+        this.deviceManager = deviceManager;
+
+        this.element = document.createElement("select");
+        this.element.disabled = true;
+
+        this.update(deviceManager.getDevices());
+        deviceManager.addEventListener("devicesChanged", e => this.update(e.detail.devices));
+    }
+
+    /**
+     * Creates an option element with the specified text and value.
+     *
+     * @param {string} text Text to display in the option element.
+     * @param {string} value Value held by the option element.
+     *
+     * @returns {HTMLOptionElement} Created option element.
+     */
+    static createOptionElement(text, value) {
+        validateNonEmptyString(text);
+        validateString(value);
+
+        const option = document.createElement("option");
+        option.text = text;
+        option.value = value;
+        return option;
+    }
+
+    /**
+     * Repopulates the select element with a list of devices.
+     *
+     * The selected device is kept, if it is still available. No `change` event is dispatched when this happens.
+     *
+     * @param {MediaDeviceInfo[]} devices Devices to list.
+     */
+    update(devices) {
+        const originalValue = this.element.value;
+
+        this.element.innerHTML = "";
+        this.element.appendChild(DeviceSelect.createOptionElement("Select a Device", ""));
+
+        for (const device of devices) {
+            // Devices have no label until the user grants permission to use the camera.
+            if (device.label === "") {
+                continue;
+            }
+
+            if (Array.from(this.element.options).some(option => option.value === device.deviceId)) {
+                continue;
+            }
+
+            this.element.appendChild(DeviceSelect.createOptionElement(device.label, device.deviceId));
+        }
+
+        if (Array.from(this.element.options).some(option => option.value === originalValue)) {
+            this.element.value = originalValue;
+        }
+
+        this.element.dispatchEvent(new CustomEvent("updated"));
+    }
+
+    /**
+     * Retrieves the select element.
+     *
+     * @returns {HTMLSelectElement} The select element.
+     */
+    getElement() {
+        return this.element;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,160 @@
+import {VideoSource} from "./video_source.js";
+import {validateDefined, validateNumber, validatePositiveNumber} from "../utility/validation.js";
+
+export class ImageSequenceSource extends VideoSource {
+    /** Default number of frames per second at which the images are played. */
+    static defaultFps = 30;
+
+    /**
+     * Creates a new ImageSequenceSource.
+     *
+     * @param {(string|Blob)[]} images Ordered list of URLs of, or Blobs containing, the images to play.
+     * @param {{
+     *   container: HTMLElement|undefined,
+     *   fps: number|undefined,
+     *   videoElement: HTMLVideoElement|undefined
+     * }} options Options to use. `fps` is the number of frames per second at which the images are played. See
+     *            {@link VideoSource} for the elements.
+     */
+    constructor(images, options = {}) {
+        validateDefined(images);
+        validateDefined(options);
+
+        const fps = options.fps ?? ImageSequenceSource.defaultFps;
+        validatePositiveNumber(fps);
+
+        if (images.length === 0) {
+            throw new Error("At least one image is required.");
+        }
+
+        super(options);
+
+        this.fps = fps;
+        this.sources = [...images];
+
+        this.canvas = document.createElement("canvas");
+        this.canvasContext = this.canvas.getContext("2d");
+        this.frameIndex = 0;
+        this.images = null;
+        this.intervalId = null;
+        this.stream = null;
+    }
+
+    /** @type VideoSource["updateVideoElement"] */
+    async updateVideoElement() {
+        if (this.videoElement == null) {
+            return;
+        }
+
+        if (this.stream == null) {
+            this.images ??= await Promise.all(this.sources.map(async source => {
+                const url = source instanceof Blob ? URL.createObjectURL(source) : source;
+
+                const image = new Image();
+                image.src = url;
+                try {
+                    await image.decode();
+                } finally {
+                    // The decoded images are kept, so the URLs of Blobs are no longer needed once decoded.
+                    if (url !== source) {
+                        URL.revokeObjectURL(url);
+                    }
+                }
+                return image;
+            }));
+
+            this.canvas.width = this.images[0].naturalWidth;
+            this.canvas.height = this.images[0].naturalHeight;
+
+            // A frame rate of 0 means that a new frame is only captured when we explicitly request one.
+            this.stream = this.canvas.captureStream(0);
+            this.drawFrame();
+        }
+
+        if (this.videoElement.srcObject !== this.stream) {
+            this.videoElement.srcObject = this.stream;
+        }
+
+        this.resizeVideoElement(this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Moves to a specific image, and draws it.
+     *
+     * @param {number} index Index of the image. Values outside the sequence are clamped to its first or last image.
+     */
+    showFrame(index) {
+        this.frameIndex = Math.min(Math.max(index, 0), this.images.length - 1);
+        this.drawFrame();
+    }
+
+    /** Draws the current image onto the canvas, and pushes it to the video element as a new frame. */
+    drawFrame() {
+        this.canvasContext.drawImage(this.images[this.frameIndex], 0, 0, this.canvas.width, this.canvas.height);
+        this.stream.getVideoTracks()[0].requestFrame();
+    }
+
+    /**
+     * @type VideoSource["play"]
+     *
+     * The video element always plays the canvas stream, this controls whether the sequence advances.
+     */
+    async play() {
+        await super.play();
+
+        if (this.intervalId != null || this.stream == null) {
+            return;
+        }
+
+        this.intervalId = setInterval(() => {
+            this.frameIndex = (this.frameIndex + 1) % this.images.length;
+            this.drawFrame();
+        }, 1000 / this.fps);
+    }
+
+    /** @type VideoSource["pause"] */
+    pause() {
+        if (this.intervalId != null) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+
+    /** @type VideoSource["isPaused"] */
+    isPaused() {
+        return this.intervalId == null;
+    }
+
+    /** @type VideoSource["releaseSource"] */
+    releaseSource() {
+        this.stream?.getVideoTracks().forEach(track => track.stop());
+        this.stream = null;
+    }
+
+    /** @type VideoSource["seek"] */
+    async seek(time) {
+        validateNumber(time);
+
+        if (this.stream == null) {
+            return;
+        }
+
+        this.showFrame(Math.floor(time * this.fps));
+    }
+
+    /**
+     * @type VideoSource["stepFrame"]
+     *
+     * Playback is paused before stepping, as the frame being displayed would otherwise continue to change.
+     */
+    async stepFrame(count = 1) {
+        validateNumber(count);
+
+        if (this.stream == null) {
+            return;
+        }
+
+        this.pause();
+        this.showFrame(this.frameIndex + count);
+    }
+}
\ No newline at end of file
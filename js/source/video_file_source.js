@@ -0,0 +1,159 @@
+import {VideoSource} from "./video_source.js";
+import {validateBoolean, validateDefined, validateNumber, validatePositiveNumber} from "../utility/validation.js";
+
+export class VideoFileSource extends VideoSource {
+    /** Default number of frames per second, used when stepping through the video frame-by-frame. */
+    static defaultFps = 30;
+
+    /**
+     * Creates a new VideoFileSource.
+     *
+     * @param {string|Blob} file URL of, or Blob containing, the video to play. Blob URLs are also accepted.
+     * @param {{
+     *   container: HTMLElement|undefined,
+     *   fps: number|undefined,
+     *   loop: boolean|undefined,
+     *   videoElement: HTMLVideoElement|undefined
+     * }} options Options to use. `fps` is the number of frames per second in the video, used when stepping through
+     *            it frame-by-frame. `loop` is whether the video restarts when it ends, and defaults to true. See
+     *            {@link VideoSource} for the elements.
+     */
+    constructor(file, options = {}) {
+        validateDefined(file);
+        validateDefined(options);
+
+        const fps = options.fps ?? VideoFileSource.defaultFps;
+        validatePositiveNumber(fps);
+
+        const loop = options.loop ?? true;
+        validateBoolean(loop);
+
+        super(options);
+
+        this.file = file;
+        this.fps = fps;
+        this.isLoading = false;
+        this.loop = loop;
+        this.url = null;
+    }
+
+    /**
+     * @type VideoSource["close"]
+     *
+     * A VideoFileSource which is still loading is also closed, which stops the loading and rejects the pending open.
+     */
+    close() {
+        if (!this.isOpen() && this.isLoading) {
+            this.videoElement.removeAttribute("src");
+            this.videoElement.load();
+            this.releaseSource();
+            return;
+        }
+
+        super.close();
+    }
+
+    /** @type VideoSource["updateVideoElement"] */
+    async updateVideoElement() {
+        if (this.videoElement == null) {
+            return;
+        }
+
+        this.url ??= this.file instanceof Blob ? URL.createObjectURL(this.file) : this.file;
+
+        if (this.videoElement.srcObject != null || this.videoElement.getAttribute("src") !== this.url) {
+            this.videoElement.srcObject = null;
+            this.videoElement.loop = this.loop;
+            this.videoElement.src = this.url;
+
+            this.isLoading = true;
+            try {
+                await this.waitForLoad();
+            } finally {
+                this.isLoading = false;
+            }
+        }
+
+        this.resizeVideoElement(this.videoElement.videoWidth, this.videoElement.videoHeight);
+    }
+
+    /**
+     * Waits for the video element to load the first frame of the video.
+     *
+     * @throws {Error} If the video fails to load, or is unloaded before it has loaded, such as when it is closed.
+     *
+     * @returns {Promise<void>} A promise that resolves when the first frame has loaded.
+     */
+    async waitForLoad() {
+        const video = this.videoElement;
+        const url = this.url;
+
+        let onLoaded;
+        let onFailed;
+        try {
+            await new Promise((resolve, reject) => {
+                onLoaded = () => resolve();
+                onFailed = e => {
+                    // Setting the source unloads any previous video, whose `abort` and `emptied` events are ignored.
+                    if (e.type !== "error" && video.getAttribute("src") === url) {
+                        return;
+                    }
+
+                    reject(video.error ?? new Error("The video was unloaded before it finished loading."));
+                };
+
+                video.addEventListener("loadeddata", onLoaded);
+                for (const type of ["abort", "emptied", "error"]) {
+                    video.addEventListener(type, onFailed);
+                }
+            });
+        } finally {
+            // The video element may be shared with other sources, so none of the listeners are left on it.
+            video.removeEventListener("loadeddata", onLoaded);
+            for (const type of ["abort", "emptied", "error"]) {
+                video.removeEventListener(type, onFailed);
+            }
+        }
+    }
+
+    /** @type VideoSource["releaseSource"] */
+    releaseSource() {
+        if (this.file instanceof Blob && this.url != null) {
+            URL.revokeObjectURL(this.url);
+        }
+
+        this.url = null;
+    }
+
+    /** @type VideoSource["seek"] */
+    async seek(time) {
+        validateNumber(time);
+
+        if (this.videoElement == null) {
+            return;
+        }
+
+        const seeked = new Promise(resolve => this.videoElement.addEventListener("seeked", resolve, {once: true}));
+        this.videoElement.currentTime = Math.min(Math.max(time, 0), this.videoElement.duration);
+        await seeked;
+    }
+
+    /**
+     * @type VideoSource["stepFrame"]
+     *
+     * Playback is paused before stepping, as the frame being displayed would otherwise continue to change.
+     */
+    async stepFrame(count = 1) {
+        validateNumber(count);
+
+        if (this.videoElement == null) {
+            return;
+        }
+
+        this.pause();
+
+        // We seek to the middle of the frame, as seeking to its start can display the previous frame due to rounding.
+        const frame = Math.floor(this.videoElement.currentTime * this.fps) + count;
+        await this.seek((Math.max(frame, 0) + 0.5) / this.fps);
+    }
+}
\ No newline at end of file
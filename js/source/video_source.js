@@ -0,0 +1,188 @@
+import {validateDefined, validateInstanceOf} from "../utility/validation.js";
+
+export class VideoSource extends EventTarget {
+    /**
+     * Creates a new VideoSource.
+     *
+     * @param {{
+     *   container: HTMLElement|undefined,
+     *   videoElement: HTMLVideoElement|undefined
+     * }} options Elements to use. If no video element is specified, then a detached one is created. If a container is
+     *            specified, then the video element is sized to fit its width.
+     */
+    constructor(options = {}) {
+        validateDefined(options);
+
+        super();
+
+        if (options.container != null) {
+            validateInstanceOf(options.container, HTMLElement);
+        }
+
+        if (options.videoElement != null) {
+            validateInstanceOf(options.videoElement, HTMLVideoElement);
+        }
+
+        this.container = options.container ?? null;
+        this.opened = false;
+        this.providedVideoElement = options.videoElement ?? null;
+        this.videoElement = null;
+    }
+
+    /**
+     * Opens this VideoSource, and loads it into the video element associated with it.
+     *
+     * @throws {Error} If there is an issue loading the source into the video element.
+     *
+     * @returns {Promise<void>} A promise that resolves when the source has been opened.
+     */
+    async open() {
+        if (this.opened) {
+            return;
+        }
+
+        await this.getVideoElement();
+        this.opened = true;
+        this.dispatchEvent(new CustomEvent("opened"));
+    }
+
+    /**
+     * Closes this VideoSource, releasing any resources it holds, and detaches it from the video element.
+     *
+     * A `closing` event is dispatched before anything is released, so that anything using the video element can pause
+     * before it stops receiving frames.
+     */
+    close() {
+        if (!this.opened) {
+            return;
+        }
+
+        this.dispatchEvent(new CustomEvent("closing"));
+
+        this.pause();
+        this.releaseSource();
+
+        this.videoElement.srcObject = null;
+        this.videoElement.removeAttribute("src");
+        this.videoElement.load();
+
+        this.opened = false;
+        this.dispatchEvent(new CustomEvent("closed"));
+    }
+
+    /** Releases any resources held by this VideoSource, such as MediaStream tracks. */
+    releaseSource() {}
+
+    /**
+     * Determines whether this VideoSource is open.
+     *
+     * @returns {boolean} Whether this VideoSource is open.
+     */
+    isOpen() {
+        return this.opened;
+    }
+
+    /**
+     * Retrieves the video element associated with this VideoSource, creating it if necessary.
+     *
+     * @throws {Error} If there is an issue loading the source into the video element.
+     *
+     * @returns {Promise<HTMLVideoElement>} A promise that resolves to a video element.
+     */
+    async getVideoElement() {
+        if (this.videoElement) {
+            await this.updateVideoElement();
+            return this.videoElement;
+        }
+
+        const video = this.providedVideoElement ?? document.createElement("video");
+        video.setAttribute("autoplay", "")
+        video.setAttribute("muted", "")
+        video.setAttribute("playsinline", "");
+        video.muted = true;
+        this.videoElement = video;
+
+        await this.updateVideoElement();
+        return video;
+    }
+
+    /**
+     * Loads this VideoSource into the video element associated with it.
+     *
+     * @returns {Promise<void>} A promise that resolves when the video element has been updated.
+     */
+    async updateVideoElement() {
+        throw new Error("Not implemented.");
+    }
+
+    /**
+     * Updates the aspect ratio and width of the video element, and its container, to match the size of the source.
+     *
+     * @param {number} width Width of the source, in pixels.
+     * @param {number} height Height of the source, in pixels.
+     */
+    resizeVideoElement(width, height) {
+        const aspectRatio = width / height;
+        this.videoElement.style.aspectRatio = aspectRatio;
+
+        if (this.container == null) {
+            this.videoElement.width = width;
+            return;
+        }
+
+        this.container.style.aspectRatio = aspectRatio;
+        this.videoElement.width = this.container.scrollWidth;
+    }
+
+    /**
+     * Retrieves the container which the video element is sized to fit.
+     *
+     * @returns {HTMLElement|null} The container, or null if no container was specified.
+     */
+    getContainer() {
+        return this.container;
+    }
+
+    /**
+     * Starts, or resumes, playback of the source.
+     *
+     * @returns {Promise<void>} A promise that resolves when playback has started.
+     */
+    async play() {
+        await this.videoElement?.play();
+    }
+
+    /** Pauses playback of the source. */
+    pause() {
+        this.videoElement?.pause();
+    }
+
+    /**
+     * Determines whether playback of the source is paused.
+     *
+     * @returns {boolean} Whether playback of the source is paused.
+     */
+    isPaused() {
+        return this.videoElement == null || this.videoElement.paused;
+    }
+
+    /**
+     * Moves playback of the source to a specific time.
+     *
+     * @param {number} time Time to move to, in seconds.
+     * @returns {Promise<void>} A promise that resolves when the frame at the specified time is displayed.
+     */
+    async seek(time) {
+        throw new Error("Not supported.");
+    }
+
+    /**
+     * Moves playback of the source forwards, or backwards, by a number of frames.
+     *
+     * @param {number} count Number of frames to move by. Negative values move backwards.
+     * @returns {Promise<void>} A promise that resolves when the new frame is displayed.
+     */
+    async stepFrame(count = 1) {
+        throw new Error("Not supported.");
+    }
+}
\ No newline at end of file
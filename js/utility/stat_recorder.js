@@ -56,6 +56,15 @@ export class StatRecorder {
         return this.average = sum / this.entries.length;
     }
 
+    /**
+     * Returns the number of entries which have been recorded, up to the maximum number of entries.
+     *
+     * @returns {number} Number of entries.
+     */
+    getCount() {
+        return this.entries.length;
+    }
+
     /**
      * Returns the maximum of all entries.
      *
@@ -38,6 +38,20 @@ export function validatePositiveNumber(object) {
     }
 }
 
+/**
+ * Determines whether a given object is a positive integer.
+ *
+ * @param {object} object Object to check.
+ * @throws {Error} Thrown if the object is not a positive integer.
+ */
+export function validatePositiveInteger(object) {
+    validatePositiveNumber(object);
+
+    if (!Number.isInteger(object)) {
+        throw new Error('Parameter "object" must be an integer. ' + object);
+    }
+}
+
 /**
  * Determines whether a given object is a string.
  *